@@ -6,6 +6,9 @@
 
 const express = require("express");
 const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
 const { Server } = require("socket.io");
 
 const app = express();
@@ -14,10 +17,35 @@ const io = new Server(server, {
   cors: { origin: "*" },
 });
 
-app.use(express.static(__dirname)); // serves index.html in same folder
+// only the pages are public: this folder also holds the server code and (by default) the data store
+const sendPage = (file) => (req, res) => res.sendFile(path.join(__dirname, file));
+app.get(["/", "/index.html"], sendPage("index.html"));
+
+// big-screen scoreboard (spectator view)
+app.get(["/tv", "/tv.html"], sendPage("tv.html"));
+
+// Local copies of the person-detection model, for fields without internet. Optional:
+//   npm i @tensorflow/tfjs @tensorflow-models/coco-ssd
+// plus the coco-ssd model.json + weight shards in ./models/coco-ssd (or MODEL_DIR).
+// Whatever is missing, the client loads from the CDN instead.
+const DETECTOR_ASSETS = {
+  tfjs: { route: "/vendor/tfjs", dir: path.join(__dirname, "node_modules/@tensorflow/tfjs/dist"), file: "tf.min.js" },
+  cocoSsd: { route: "/vendor/coco-ssd", dir: path.join(__dirname, "node_modules/@tensorflow-models/coco-ssd/dist"), file: "coco-ssd.min.js" },
+  modelUrl: { route: "/models/coco-ssd", dir: process.env.MODEL_DIR || path.join(__dirname, "models/coco-ssd"), file: "model.json" },
+};
+const localDetectorAssets = {};
+for (const [key, a] of Object.entries(DETECTOR_ASSETS)) {
+  if (!fs.existsSync(path.join(a.dir, a.file))) continue;
+  app.use(a.route, express.static(a.dir));
+  localDetectorAssets[key] = `${a.route}/${a.file}`;
+}
+app.get("/api/detector-assets", (req, res) => res.json(localDetectorAssets));
 
 const rooms = new Map();
 
+// how long a dropped player keeps their slot before being removed
+const RECONNECT_GRACE_MS = 90 * 1000;
+
 function genRoomId() {
   let id = "";
   do {
@@ -26,6 +54,18 @@ function genRoomId() {
   return id;
 }
 
+function genPlayerId(room) {
+  let id = "";
+  do {
+    id = "p_" + crypto.randomBytes(6).toString("hex");
+  } while (room.players[id]);
+  return id;
+}
+
+function genSessionToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
 function now() {
   return Date.now();
 }
@@ -34,12 +74,148 @@ function clamp(v, a, b) {
   return Math.max(a, Math.min(b, v));
 }
 
+// Player-facing messages travel as { code, params, message }: clients translate by code
+// (index.html I18N) and fall back to message, the English text rendered from this catalog.
+const MESSAGES = {
+  paused: "Game is paused.",
+  room_not_found: "Room not found",
+  game_started: "Game already started",
+  banned: "You are banned from this room",
+  room_locked: "Room is locked",
+  wrong_passcode: "Wrong passcode",
+  passcode_required: "Passcode required",
+  session_expired: "Session expired. Join again.",
+  kicked: "You were removed by the host.",
+  kicked_ban: "You were banned by the host.",
+  teams_locked: "Teams are locked by the host.",
+  not_ready: "Not ready: {names}",
+  min_players: "Need at least 2 players.",
+  one_team: "Put players on at least two teams.",
+  missing_colors: "Assign colors for: {names}.",
+  color_collision: "{a} and {b} look alike (ΔE {distance}).",
+  color_collision_team: "{a} and {b} look alike (ΔE {distance}), same team.",
+  color_lookalike: "{name} looks like {other} (ΔE {distance}).",
+  suggest_swap: "Swap uniforms between {a} and {b}.",
+  suggest_palette: "Give {name} a uniform close to {colorHex}.",
+  shield_active: "Shield already active.",
+  no_shields: "No shields. Earn one first.",
+  craft_limited_only: "Crafting only in Limited mode.",
+  recipe_disabled: "That recipe is disabled.",
+  craft_cap: "{item} cap reached ({cap}).",
+  dead: "You are dead.",
+  fire_rate: "Firing too fast.",
+  not_limited: "Not in Limited mode.",
+  no_craft_task: "No active craft task. Pick a recipe first.",
+  craft_expired: "Earn task expired. Try again.",
+  no_sample: "No color sample.",
+  low_confidence: "Low confidence sample. Get closer / better light.",
+  craft_mismatch: "Color not close enough. Try again.",
+  craft_step: "Step {step}/{steps} done. Next color!",
+  crafted: "+{amount} {item} crafted!",
+  miss_no_target: "MISS (no target)",
+  no_bullets: "No bullets. Earn bullets first.",
+  cannot_shoot: "Cannot shoot.",
+  no_target_color: "Could not read target color.",
+  teammate_color: "Color matches teammate {name} — no damage",
+  unknown_color: "HIT? (unknown color) — no damage",
+  spawn_protected: "{name} is spawn-protected",
+  item_none: "None left. Craft one first.",
+  full_hp: "Already at full HP.",
+  healed: "+{hp} HP",
+  boost_active: "Boost already active.",
+  boosted: "Damage ×{multiplier} for {seconds}s",
+  player_kicked: "{name} kicked.",
+  player_banned: "{name} banned.",
+  max_bots: "At most {max} bots.",
+  passcode_set: "Passcode set.",
+  passcode_removed: "Passcode removed.",
+  player_offline: "{name} is offline.",
+  bot_host: "Bots can't host.",
+  room_closed: "Room closed.",
+  // anti-cheat flags (host only); the flag's own code is the part after "flag_"
+  flag_fire_rate: "Hit the fire-rate limit {count} times.",
+  flag_constant_confidence: "Last 10 shots reported confidence {confidence}%.",
+  flag_exact_color: "Hit colors match uniforms almost exactly (mean ΔE {distance}).",
+  flag_hit_rate: "{hits}/{shots} shots hit.",
+  flag_bad_payload: "Sent a malformed {event} ({error}).",
+};
+
+function msg(code, params = {}) {
+  const message = MESSAGES[code].replace(/\{(\w+)\}/g, (m, k) => (k in params ? String(params[k]) : m));
+  return { code, params, message };
+}
+
+function toast(socket, type, code, params) {
+  socket.emit("game:toast", { type, ...msg(code, params) });
+}
+
 // curated palette for limited-mode crafting (easy colors in real world)
 const CRAFT_PALETTE = [
   "#ff0000", "#00ff00", "#0000ff", "#ffff00", "#00ffff", "#ff00ff",
   "#ff7a00", "#7a00ff", "#00ff7a", "#ff007a", "#7a7a7a", "#ffffff"
 ];
 
+// crafting difficulty: tolerance scale on earnTolerance + seconds to finish the whole recipe
+const CRAFT_TIERS = {
+  easy: { toleranceScale: 1.3, timeoutSec: 30 },
+  normal: { toleranceScale: 1, timeoutSec: 20 },
+  hard: { toleranceScale: 0.75, timeoutSec: 14 },
+};
+
+// what a finished recipe gives; cap() is the inventory limit (Infinity = uncapped)
+const CRAFT_ITEMS = {
+  bullet: {
+    cap: () => Infinity,
+    have: (p) => p.bullets,
+    give(room, p, amount) {
+      p.bullets += amount;
+    },
+  },
+  shield: {
+    cap: (room) => room.settings.shieldCap,
+    have: (p) => p.shields,
+    give(room, p, amount) {
+      p.shields = clamp(p.shields + amount, 0, room.settings.shieldCap);
+    },
+  },
+  medkit: {
+    cap: (room) => room.settings.medkitCap,
+    have: (p) => p.inventory.medkit,
+    give(room, p, amount) {
+      p.inventory.medkit = clamp(p.inventory.medkit + amount, 0, room.settings.medkitCap);
+    },
+  },
+  boost: {
+    cap: (room) => room.settings.boostCap,
+    have: (p) => p.inventory.boost,
+    give(room, p, amount) {
+      p.inventory.boost = clamp(p.inventory.boost + amount, 0, room.settings.boostCap);
+    },
+  },
+};
+
+// host-tunable recipes (ids are fixed; enabled / steps / tier / amount are editable)
+function makeDefaultRecipes() {
+  return [
+    { id: "bullet", label: "Bullet", item: "bullet", amount: 1, steps: 1, tier: "normal", enabled: true },
+    { id: "shield", label: "Shield", item: "shield", amount: 1, steps: 1, tier: "normal", enabled: true },
+    { id: "bundle", label: "Bullet Bundle", item: "bullet", amount: 5, steps: 3, tier: "normal", enabled: true },
+    { id: "medkit", label: "Medkit", item: "medkit", amount: 1, steps: 2, tier: "normal", enabled: true },
+    { id: "boost", label: "Damage Boost", item: "boost", amount: 1, steps: 3, tier: "hard", enabled: true },
+  ];
+}
+const RECIPE_IDS = makeDefaultRecipes().map((r) => r.id);
+
+// random palette sequence, never the same color twice in a row
+function craftSequence(steps) {
+  const seq = [];
+  while (seq.length < steps) {
+    const hex = CRAFT_PALETTE[Math.floor(Math.random() * CRAFT_PALETTE.length)];
+    if (hex !== seq[seq.length - 1]) seq.push(hex);
+  }
+  return seq;
+}
+
 function normalizeHex(hex) {
   hex = (hex || "").trim().toLowerCase();
   if (/^#[0-9a-f]{6}$/.test(hex)) return hex;
@@ -52,26 +228,257 @@ function hexToRgb(hex) {
   return { r: parseInt(m[1], 16), g: parseInt(m[2], 16), b: parseInt(m[3], 16) };
 }
 
-function rgbDist(a, b) {
-  const dr = a.r - b.r,
-    dg = a.g - b.g,
-    db = a.b - b.b;
-  return Math.sqrt(dr * dr + dg * dg + db * db);
+function sanitizeRgb(rgb) {
+  const ch = (v) => clamp(Math.round(Number(v) || 0), 0, 255);
+  return { r: ch(rgb && rgb.r), g: ch(rgb && rgb.g), b: ch(rgb && rgb.b) };
+}
+
+// sRGB (D65) -> CIELAB
+function rgbToLab(rgb) {
+  const lin = (c) => {
+    c /= 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  };
+  const r = lin(rgb.r),
+    g = lin(rgb.g),
+    b = lin(rgb.b);
+
+  const x = (r * 0.4124564 + g * 0.3575761 + b * 0.1804375) / 0.95047;
+  const y = r * 0.2126729 + g * 0.7151522 + b * 0.072175;
+  const z = (r * 0.0193339 + g * 0.119192 + b * 0.9503041) / 1.08883;
+
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const fx = f(x),
+    fy = f(y),
+    fz = f(z);
+  return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+// CIEDE2000 color difference. kL/kC/kH are the standard parametric weights:
+// kL > 1 makes lightness matter less than hue/chroma (sun vs. shade on the same uniform).
+function deltaE2000(lab1, lab2, kL = 1, kC = 1, kH = 1) {
+  const rad = Math.PI / 180;
+  const { L: L1, a: a1, b: b1 } = lab1;
+  const { L: L2, a: a2, b: b2 } = lab2;
+
+  const C1 = Math.hypot(a1, b1),
+    C2 = Math.hypot(a2, b2);
+  const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+
+  const a1p = a1 * (1 + G),
+    a2p = a2 * (1 + G);
+  const C1p = Math.hypot(a1p, b1),
+    C2p = Math.hypot(a2p, b2);
+  const hue = (bb, ap) => {
+    if (bb === 0 && ap === 0) return 0;
+    const h = Math.atan2(bb, ap) / rad;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hue(b1, a1p),
+    h2p = hue(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+  const Lbarp = (L1 + L2) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) > 180) hbarp += h1p + h2p < 360 ? 360 : -360;
+    hbarp /= 2;
+  }
+
+  const T =
+    1 -
+    0.17 * Math.cos((hbarp - 30) * rad) +
+    0.24 * Math.cos(2 * hbarp * rad) +
+    0.32 * Math.cos((3 * hbarp + 6) * rad) -
+    0.2 * Math.cos((4 * hbarp - 63) * rad);
+  const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+  const Cbarp7 = Math.pow(Cbarp, 7);
+  const Rc = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + Math.pow(25, 7)));
+  const Sl = 1 + (0.015 * Math.pow(Lbarp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+  const Sc = 1 + 0.045 * Cbarp;
+  const Sh = 1 + 0.015 * Cbarp * T;
+  const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+  const tl = dLp / (kL * Sl),
+    tc = dCp / (kC * Sc),
+    th = dHp / (kH * Sh);
+  return Math.sqrt(tl * tl + tc * tc + th * th + Rt * tc * th);
+}
+
+// distance used by all gameplay color checks (attack + craft)
+function colorDistance(room, labA, labB) {
+  return deltaE2000(labA, labB, room.settings.lightnessWeight, 1, 1);
+}
+
+// per-player color profiles: several lobby samples (angles / lighting)
+// clustered into centroids, each with its own spread
+const PROFILE_MAX_SAMPLES = 8;
+const PROFILE_CLUSTER_DE = 12;
+
+function rgbToHex(rgb) {
+  const to2 = (n) => n.toString(16).padStart(2, "0");
+  return `#${to2(rgb.r)}${to2(rgb.g)}${to2(rgb.b)}`;
+}
+
+function makeColorSample(hex, confidence) {
+  const rgb = hexToRgb(normalizeHex(hex));
+  return { rgb, lab: rgbToLab(rgb), confidence: clamp(Number(confidence ?? 0.4), 0, 1), t: now() };
+}
+
+function weightedCentroid(members) {
+  let w = 0;
+  const lab = { L: 0, a: 0, b: 0 };
+  const rgb = { r: 0, g: 0, b: 0 };
+  for (const m of members) {
+    const mw = Math.max(0.05, m.confidence);
+    w += mw;
+    lab.L += m.lab.L * mw;
+    lab.a += m.lab.a * mw;
+    lab.b += m.lab.b * mw;
+    rgb.r += m.rgb.r * mw;
+    rgb.g += m.rgb.g * mw;
+    rgb.b += m.rgb.b * mw;
+  }
+  return {
+    lab: { L: lab.L / w, a: lab.a / w, b: lab.b / w },
+    rgb: { r: Math.round(rgb.r / w), g: Math.round(rgb.g / w), b: Math.round(rgb.b / w) },
+    weight: w,
+  };
+}
+
+function buildColorProfile(room, samples) {
+  // greedy clustering: a sample joins the nearest centroid within PROFILE_CLUSTER_DE
+  const clusters = [];
+  for (const smp of samples) {
+    let best = null,
+      bestD = Infinity;
+    for (const c of clusters) {
+      const d = colorDistance(room, smp.lab, c.lab);
+      if (d < bestD) {
+        bestD = d;
+        best = c;
+      }
+    }
+    if (best && bestD <= PROFILE_CLUSTER_DE) {
+      best.members.push(smp);
+      best.lab = weightedCentroid(best.members).lab;
+    } else {
+      clusters.push({ members: [smp], lab: smp.lab });
+    }
+  }
+
+  const centroids = clusters
+    .map((c) => {
+      const { lab, rgb, weight } = weightedCentroid(c.members);
+      const spread = Math.max(0, ...c.members.map((m) => colorDistance(room, m.lab, lab)));
+      return { lab, rgb, hex: rgbToHex(rgb), spread, weight, count: c.members.length };
+    })
+    .sort((a, b) => b.weight - a.weight);
+
+  const meanConfidence = samples.reduce((acc, x) => acc + x.confidence, 0) / samples.length;
+  const coverage = Math.min(1, samples.length / 3);
+  const maxSpread = Math.max(...centroids.map((c) => c.spread));
+  // quality: confident samples, a few angles, and tight clusters
+  const quality = clamp(meanConfidence * 0.6 + coverage * 0.3 + (1 - maxSpread / PROFILE_CLUSTER_DE) * 0.1, 0, 1);
+
+  return { centroids, meanConfidence, quality };
+}
+
+function setColorSamples(room, p, samples) {
+  p.colorSamples = samples.slice(-PROFILE_MAX_SAMPLES);
+  p.colorProfile = p.colorSamples.length ? buildColorProfile(room, p.colorSamples) : null;
+  p.assignedColorHex = p.colorProfile ? p.colorProfile.centroids[0].hex : null;
+  p.assignedConfidence = p.colorProfile ? p.colorProfile.meanConfidence : null;
+}
+
+// distance from an observation to the closest centroid, discounted by that centroid's spread
+function profileDistance(room, profile, lab) {
+  let best = Infinity;
+  for (const c of profile.centroids) {
+    const d = Math.max(0, colorDistance(room, lab, c.lab) - c.spread * 0.5);
+    if (d < best) best = d;
+  }
+  return best;
+}
+
+// tolerance (ΔE) scaled by sample confidence: high confidence => stricter
+function colorThreshold(tolerance, confidence) {
+  const conf = clamp(Number(confidence ?? 0.3), 0, 1);
+  return tolerance * (1.2 - conf * 0.4);
 }
 
 function makeDefaultSettings() {
   return {
     gameType: "team", // team | chaos
     mode: "standard", // standard | limited
+    ruleset: "elimination", // key of GAME_MODES
+    respawnDelaySec: 10,
+    lives: 3,
+
+    teamCount: 2,
+    autoBalance: true,
+    countdownSec: 5,
     gameSeconds: 180,
 
+    // tournament series (see recordSeriesRound)
+    seriesFormat: "off", // off | bestOf | rounds
+    seriesLength: 3, // best-of-N, or number of rounds
+    seriesTeams: "keep", // keep | swap | rebalance (between rounds, team games)
+
     damagePerHit: 10,
     maxHp: 100,
 
+    // per body-zone damage multipliers
+    headMultiplier: 1.5,
+    torsoMultiplier: 1,
+    legsMultiplier: 0.75,
+
     initialBullets: 5,
     initialShields: 1,
     shieldDurationSec: 20,
     shieldCap: 2,
+
+    // rule options
+    friendlyFire: "off", // off | reduced | on (team games)
+    friendlyFireScale: 0.5, // damage share for "reduced"
+    shieldReduction: 100, // % of a hit a shield absorbs (100 = immune)
+    bulletRegenSec: 0, // limited mode: +1 bullet every N sec (0 = crafting only)
+    bulletRegenCap: 3, // regen stops at this many bullets
+    spawnProtectionSec: 0, // no damage taken this long after match start / respawn
+
+    // crafting (limited mode)
+    recipes: makeDefaultRecipes(),
+    medkitHeal: 30,
+    medkitCap: 2,
+    boostMultiplier: 1.5,
+    boostDurationSec: 15,
+    boostCap: 1,
+
+    // color matching (CIEDE2000 units)
+    hitTolerance: 20,
+    earnTolerance: 16,
+    lightnessWeight: 2,
+    hitResolution: "nearest", // nearest | intent
+    detector: "ml", // ml (coco-ssd person model) | color (uniform color blobs, no model)
+
+    // anti-cheat fire limits
+    fireCooldownMs: 300,
+    burstLimit: 8, // max shots per 5s
+
+    // server-side bots (host:addBot)
+    botAccuracy: 0.5, // chance a bot shot is on target
+    botFireIntervalSec: 3, // average gap between bot shots
   };
 }
 
@@ -84,18 +491,48 @@ function roomSnapshot(room) {
     settings: room.settings,
     timer: room.timer,
     winner: room.winner || null,
+    matchId: room.matchId || null,
+    series: seriesSnapshot(room.series),
+    locked: room.locked,
+    hasPasscode: !!room.passcode,
+    pausedAt: room.pausedAt || 0,
+    spectators: room.spectators.size,
+    teams: room.teams,
+    teamsLocked: room.teamsLocked,
+    validation: room.phase === "lobby" ? rosterReport(room) : null,
+    feed: room.feed,
     players: Object.fromEntries(
       Object.entries(room.players).map(([pid, p]) => [
         pid,
         {
           id: p.id,
+          profileId: p.profileId,
           name: p.name,
+          ready: p.ready,
           team: p.team,
+          connected: p.connected,
+          bot: !!p.bot,
           assignedColorHex: p.assignedColorHex || null,
           assignedConfidence: p.assignedConfidence ?? null,
+          colorProfile: p.colorProfile
+            ? {
+                samples: p.colorSamples.length,
+                quality: p.colorProfile.quality,
+                centroids: p.colorProfile.centroids.map((c) => ({
+                  hex: c.hex,
+                  spread: Math.round(c.spread * 10) / 10,
+                  count: c.count,
+                })),
+              }
+            : null,
 
           hp: p.hp,
           alive: p.alive,
+          respawnAt: p.respawnAt || 0,
+          protectedUntil: p.protectedUntil || 0,
+          regenAt: p.regenAt || 0,
+          lives: p.lives ?? null,
+          zoneMs: p.zoneMs || 0,
 
           bullets: p.bullets === Infinity ? "INF" : p.bullets,
           shields: p.shields,
@@ -104,280 +541,2116 @@ function roomSnapshot(room) {
           earnTask: p.earnTask
             ? {
                 type: p.earnTask.type,
-                colorHex: p.earnTask.colorHex,
+                colorHex: p.earnTask.sequence[p.earnTask.step],
+                sequence: p.earnTask.sequence,
+                step: p.earnTask.step,
+                tier: p.earnTask.tier,
                 expiresAt: p.earnTask.expiresAt,
               }
             : null,
-
-          stats: p.stats,
+          inventory: p.inventory,
+          boostUntil: p.boostUntil || 0,
+
+          // logs stay server-side (they only grow); clients fetch them with room:getLogs
+          stats: {
+            shots: p.stats.shots,
+            hits: p.stats.hits,
+            kills: p.stats.kills,
+            damageDealt: p.stats.damageDealt,
+            teamDamage: p.stats.teamDamage,
+            zoneHits: p.stats.zoneHits,
+            intentMismatches: p.stats.hitLog.filter((h) => h.intentMismatch).length,
+            rejects: p.stats.rejectLog.length,
+          },
         },
       ])
     ),
   };
 }
 
+// Versioned state sync. room:state carries a full snapshot plus its version; room:patch
+// carries the ops turning version-1 into version. A client that sees a gap asks for
+// room:sync and gets a fresh room:state. serverTime rides on both so clients can line
+// up countdowns / timers with the server clock.
+//   ops: [path, value] sets a value, [path] deletes it; arrays are replaced whole
+function diffState(prev, next, path = [], ops = []) {
+  for (const key of Object.keys(next)) {
+    const a = prev[key];
+    const b = next[key];
+    if (isObj(a) && isObj(b)) diffState(a, b, [...path, key], ops);
+    else if (JSON.stringify(a) !== JSON.stringify(b)) ops.push([[...path, key], b]);
+  }
+  for (const key of Object.keys(prev)) {
+    if (!(key in next)) ops.push([[...path, key]]);
+  }
+  return ops;
+}
+
+function broadcastState(room) {
+  // detached copy: the live snapshot shares objects (settings, timer, ...) with the room
+  const next = JSON.parse(JSON.stringify(roomSnapshot(room)));
+  const prev = room.sync.snap;
+  room.sync.snap = next;
+
+  // first snapshot of a new room: its creator gets it from sendFullState
+  if (!prev) {
+    room.sync.version += 1;
+    return;
+  }
+
+  const ops = diffState(prev, next);
+  if (!ops.length) return;
+
+  room.sync.version += 1;
+  io.to(room.id).emit("room:patch", { roomId: room.id, version: room.sync.version, serverTime: now(), ops });
+}
+
+// full snapshot for one socket (join / resume / spectate / resync); flushes pending
+// changes to everyone first so the snapshot matches the current version
+function sendFullState(room, socket) {
+  broadcastState(room);
+  socket.emit("room:state", { ...room.sync.snap, version: room.sync.version, serverTime: now() });
+}
+
 function isHost(room, socket) {
-  return room && room.hostId === socket.id;
+  return !!room && socket.data.roomId === room.id && room.hostId === socket.data.playerId;
+}
+
+// player record bound to this socket (player ids outlive sockets across reconnects)
+function playerOf(room, socket) {
+  if (!room || socket.data.roomId !== room.id) return null;
+  return room.players[socket.data.playerId] || null;
+}
+
+function makeStats() {
+  // shots: attack shots that reached color resolution
+  // rejectLog: shots refused because the color matched a teammate (intent resolution)
+  // teamDamage: friendly-fire damage, kept out of hits / damageDealt so it never ranks anyone
+  return {
+    shots: 0,
+    hits: 0,
+    kills: 0,
+    damageDealt: 0,
+    teamDamage: 0,
+    zoneHits: { head: 0, torso: 0, legs: 0 },
+    hitLog: [],
+    rejectLog: [],
+  };
+}
+
+function makePlayer(room, name, profileKey) {
+  const key = profileKey || genProfileKey();
+  return {
+    id: genPlayerId(room),
+    name,
+    joinedAt: now(),
+    profileKey: key, // secret, only ever sent back to this player
+    profileId: profileIdFor(key),
+    team: null,
+    teamPinned: false, // placed by the host; auto-balance leaves it alone
+    ready: false, // lobby ready-check
+    assignedColorHex: null,
+    assignedConfidence: null,
+    colorSamples: [],
+    colorProfile: null,
+
+    // session: token lets a new socket take over this record after a drop
+    sessionToken: genSessionToken(),
+    socketId: null,
+    connected: true,
+    disconnectedAt: 0,
+
+    hp: room.settings.maxHp,
+    alive: true,
+    respawnAt: 0,
+    lives: null,
+    zoneMs: 0,
+
+    bullets: room.settings.mode === "limited" ? room.settings.initialBullets : Infinity,
+    shields: room.settings.initialShields,
+    shieldActiveUntil: 0,
+    shieldWarned: false, // player:shieldExpiring sent for the current activation
+
+    earnTask: null,
+    inventory: { medkit: 0, boost: 0 },
+    boostUntil: 0,
+
+    stats: makeStats(),
+
+    // anti-cheat bookkeeping (server only, never in snapshots)
+    ac: { shotTimes: [], confs: [], hitDeltas: [], rateViolations: 0, flags: {} },
+  };
+}
+
+// fresh hp / ammo / stats for a new match (game:start) or a return to lobby (game:reset)
+function resetPlayerForMatch(room, p) {
+  const s = room.settings;
+  p.hp = s.maxHp;
+  p.alive = true;
+  p.respawnAt = 0;
+  p.lives = null;
+  p.zoneMs = 0;
+  p.ready = !!p.bot; // bots never hold up the ready-check
+  p.shieldActiveUntil = 0;
+  p.shieldWarned = false;
+  p.earnTask = null;
+  p.inventory = { medkit: 0, boost: 0 };
+  p.boostUntil = 0;
+  p.protectedUntil = 0;
+  p.regenAt = 0;
+  p.stats = makeStats();
+
+  if (s.mode === "standard") {
+    p.bullets = Infinity;
+    p.shields = s.initialShields;
+  } else {
+    p.bullets = s.initialBullets;
+    p.shields = clamp(s.initialShields, 0, s.shieldCap);
+  }
+}
+
+function attachSocket(room, player, socket) {
+  // this socket was playing elsewhere (create / join from inside another room): that record
+  // drops into the reconnect grace period, same as a disconnect
+  const prevRoom = rooms.get(socket.data.roomId);
+  const prev = playerOf(prevRoom, socket);
+  if (prev && prev !== player && prev.socketId === socket.id) {
+    prev.connected = false;
+    prev.disconnectedAt = now();
+    socket.leave(prevRoom.id);
+    broadcastState(prevRoom);
+  }
+
+  // a stale socket still bound to this player (e.g. old tab) loses it
+  if (player.socketId && player.socketId !== socket.id) {
+    const old = io.sockets.sockets.get(player.socketId);
+    if (old) {
+      old.leave(room.id);
+      old.data.roomId = null;
+      old.data.playerId = null;
+    }
+  }
+
+  player.socketId = socket.id;
+  player.connected = true;
+  player.disconnectedAt = 0;
+
+  socket.data.roomId = room.id;
+  socket.data.playerId = player.id;
+  socket.join(room.id);
+  socket.emit("room:session", {
+    roomId: room.id,
+    playerId: player.id,
+    token: player.sessionToken,
+    profileId: player.profileId,
+    profileKey: player.profileKey,
+  });
+}
+
+function removePlayer(room, pid) {
+  delete room.players[pid];
+
+  // bots alone don't keep a room alive
+  if (!Object.values(room.players).some((p) => !p.bot)) {
+    closeRoom(room);
+    return;
+  }
+
+  if (room.hostId === pid) {
+    // promote oldest, preferring someone who is actually connected (bots never host)
+    const ids = Object.keys(room.players).sort((a, b) => {
+      const ca = room.players[a].bot ? 2 : room.players[a].connected ? 0 : 1;
+      const cb = room.players[b].bot ? 2 : room.players[b].connected ? 0 : 1;
+      if (ca !== cb) return ca - cb;
+      return room.players[a].joinedAt - room.players[b].joinedAt;
+    });
+    room.hostId = ids[0];
+  }
+
+  autoAssignTeams(room);
+  broadcastState(room);
+}
+
+// drop a room for good; whoever is still listening (spectators, or everyone on an admin close) is told and detached
+function closeRoom(room) {
+  rooms.delete(room.id);
+  io.to(room.id).emit("room:closed", { roomId: room.id, ...msg("room_closed") });
+  io.in(room.id).socketsLeave(room.id);
+}
+
+// host moderation: detach a player's socket and drop their record (kick / ban)
+function ejectPlayer(room, p, code) {
+  const sock = io.sockets.sockets.get(p.socketId);
+  if (sock) {
+    sock.emit("room:kicked", { roomId: room.id, ...msg(code) });
+    sock.leave(room.id);
+    sock.data.roomId = null;
+    sock.data.playerId = null;
+  }
+  removePlayer(room, p.id);
+}
+
+// why this socket may not join, as a message code (or null); bans are by profile, so they hold across rejoins
+// (no address bans: players at a field usually share one Wi-Fi / hotspot address)
+function joinBlocker(room, profileKey, passcode) {
+  if (profileKey && room.bans.profiles.has(profileIdFor(profileKey))) return "banned";
+  if (room.locked) return "room_locked";
+  const code = (passcode || "").trim();
+  if (room.passcode && code !== room.passcode) return code ? "wrong_passcode" : "passcode_required";
+  return null;
+}
+
+// up to six teams; names/colors can be edited by the host in the lobby
+const TEAM_DEFAULTS = [
+  { id: "A", name: "Team A", color: "#ef4444" },
+  { id: "B", name: "Team B", color: "#3b82f6" },
+  { id: "C", name: "Team C", color: "#22c55e" },
+  { id: "D", name: "Team D", color: "#eab308" },
+  { id: "E", name: "Team E", color: "#a855f7" },
+  { id: "F", name: "Team F", color: "#f97316" },
+];
+
+// grow/shrink room.teams to settings.teamCount, keeping edited names/colors
+function syncTeams(room) {
+  const n = room.settings.teamCount;
+  const teams = room.teams.slice(0, n);
+  for (let i = teams.length; i < n; i++) teams.push({ ...TEAM_DEFAULTS[i] });
+  room.teams = teams;
+}
+
+function teamSizes(room) {
+  const sizes = Object.fromEntries(room.teams.map((t) => [t.id, 0]));
+  for (const p of Object.values(room.players)) if (p.team in sizes) sizes[p.team] += 1;
+  return sizes;
+}
+
+function smallestTeam(sizes) {
+  return Object.keys(sizes).sort((a, b) => sizes[a] - sizes[b] || a.localeCompare(b))[0];
 }
 
+// Keeps existing (and host-made) assignments. Players without a valid team go to the
+// smallest team; with autoBalance on (and teams unlocked) uneven teams are evened out by
+// moving the latest joiners that the host hasn't placed by hand.
 function autoAssignTeams(room) {
   if (!room) return;
 
-  const ids = Object.keys(room.players);
+  const players = Object.values(room.players).sort((a, b) => a.joinedAt - b.joinedAt);
 
   if (room.settings.gameType !== "team") {
-    for (const id of ids) room.players[id].team = null;
+    for (const p of players) {
+      p.team = null;
+      p.teamPinned = false;
+    }
     return;
   }
 
-  // stable assignment by join order timestamp
-  ids.sort((a, b) => room.players[a].joinedAt - room.players[b].joinedAt);
+  const teamIds = new Set(room.teams.map((t) => t.id));
+  for (const p of players) {
+    if (p.team && teamIds.has(p.team)) continue;
+    p.team = null;
+    p.teamPinned = false;
+  }
+
+  const sizes = teamSizes(room);
+  for (const p of players) {
+    if (p.team) continue;
+    p.team = smallestTeam(sizes);
+    sizes[p.team] += 1;
+  }
+
+  if (!room.settings.autoBalance || room.teamsLocked) return;
+
+  for (;;) {
+    const ids = Object.keys(sizes).sort((a, b) => sizes[a] - sizes[b]);
+    const small = ids[0],
+      big = ids[ids.length - 1];
+    if (sizes[big] - sizes[small] <= 1) break;
+
+    const mover = players.filter((p) => p.team === big && !p.teamPinned).pop();
+    if (!mover) break;
+    mover.team = small;
+    sizes[big] -= 1;
+    sizes[small] += 1;
+  }
+}
+
+// closest approach between two profiles (centroid pairs, discounted by both spreads)
+function profilePairDistance(room, pa, pb) {
+  let best = Infinity;
+  for (const ca of pa.centroids) {
+    for (const cb of pb.centroids) {
+      const d = Math.max(0, colorDistance(room, ca.lab, cb.lab) - (ca.spread + cb.spread) * 0.5);
+      if (d < best) best = d;
+    }
+  }
+  return best;
+}
+
+// pairs of players whose uniforms the matcher could confuse.
+// "error" = can shoot each other (opponents, or teammates with friendly fire on) and within
+// hit tolerance; everything else near is a "warn".
+function colorCollisions(room, players, profileOf = (p) => p.colorProfile) {
+  const block = room.settings.hitTolerance;
+  const warn = block * 1.5;
+  const out = [];
+  for (let i = 0; i < players.length; i++) {
+    for (let j = i + 1; j < players.length; j++) {
+      const a = players[i],
+        b = players[j];
+      const pa = profileOf(a),
+        pb = profileOf(b);
+      if (!pa || !pb) continue;
+
+      const distance = profilePairDistance(room, pa, pb);
+      if (distance > warn) continue;
+
+      const opposing = room.settings.gameType !== "team" || !a.team || !b.team || a.team !== b.team;
+      const canHit = opposing || room.settings.friendlyFire !== "off";
+      out.push({ a: a.id, b: b.id, distance, opposing, level: canHit && distance <= block ? "error" : "warn" });
+    }
+  }
+  return out;
+}
+
+function suggestColorFixes(room, players, collisions) {
+  const suggestions = [];
+  const byId = Object.fromEntries(players.map((p) => [p.id, p]));
+  const errorCount = (list) => list.filter((c) => c.level === "error").length;
+  const baseErrors = errorCount(collisions);
+  const warn = room.settings.hitTolerance * 1.5;
+  const seen = new Set();
+
+  for (const c of collisions) {
+    for (const pid of [c.a, c.b]) {
+      if (seen.has(pid)) continue;
+      seen.add(pid);
+      const p = byId[pid];
+
+      // 1) swap uniforms with another player if that clears blocking collisions
+      if (baseErrors) {
+        let best = null;
+        for (const z of players) {
+          if (z.id === pid || !z.colorProfile) continue;
+          const swapped = (x) => (x.id === pid ? z.colorProfile : x.id === z.id ? p.colorProfile : x.colorProfile);
+          const n = errorCount(colorCollisions(room, players, swapped));
+          if (n < baseErrors && (!best || n < best.n)) best = { z, n };
+        }
+        if (best) {
+          seen.add(best.z.id);
+          suggestions.push({
+            type: "swap",
+            players: [pid, best.z.id],
+            ...msg("suggest_swap", { a: p.name, b: best.z.name }),
+          });
+          continue;
+        }
+      }
+
+      // 2) curated palette color that stays furthest from everyone else
+      let bestHex = null,
+        bestMin = -1;
+      for (const hex of CRAFT_PALETTE) {
+        const lab = rgbToLab(hexToRgb(hex));
+        let min = Infinity;
+        for (const o of players) {
+          if (o.id === pid || !o.colorProfile) continue;
+          min = Math.min(min, profileDistance(room, o.colorProfile, lab));
+        }
+        if (min > bestMin) {
+          bestMin = min;
+          bestHex = hex;
+        }
+      }
+      if (bestHex && bestMin > warn) {
+        suggestions.push({
+          type: "palette",
+          players: [pid],
+          colorHex: bestHex,
+          ...msg("suggest_palette", { name: p.name, colorHex: bestHex }),
+        });
+      }
+    }
+  }
+  return suggestions;
+}
+
+// pre-game validation report: roster size, missing colors, color collisions + suggested fixes
+function validateRoster(room) {
+  const players = Object.values(room.players);
+  const errors = [];
+  const warnings = [];
+
+  if (players.length < 2) errors.push({ ...msg("min_players"), players: [] });
+
+  if (room.settings.gameType === "team" && players.length >= 2) {
+    const used = new Set(players.map((p) => p.team).filter(Boolean));
+    if (used.size < 2) errors.push({ ...msg("one_team"), players: [] });
+  }
+
+  const missing = players.filter((p) => !p.colorProfile);
+  if (missing.length) {
+    errors.push({
+      ...msg("missing_colors", { names: missing.map((p) => p.name).join(", ") }),
+      players: missing.map((p) => p.id),
+    });
+  }
 
-  for (let i = 0; i < ids.length; i++) {
-    room.players[ids[i]].team = i % 2 === 0 ? "A" : "B";
+  const collisions = colorCollisions(room, players);
+  for (const c of collisions) {
+    const a = room.players[c.a],
+      b = room.players[c.b];
+    const distance = Math.round(c.distance * 10) / 10;
+    const entry = {
+      ...msg(c.opposing ? "color_collision" : "color_collision_team", { a: a.name, b: b.name, distance }),
+      players: [c.a, c.b],
+      distance,
+    };
+    (c.level === "error" ? errors : warnings).push(entry);
   }
+
+  return { ok: errors.length === 0, errors, warnings, suggestions: suggestColorFixes(room, players, collisions) };
 }
 
-function allPlayersAssignedColors(room) {
-  const ids = Object.keys(room.players);
-  if (ids.length < 2) return false;
-  return ids.every((id) => !!room.players[id].assignedColorHex);
+// validateRoster is costly (suggestColorFixes tries every swap) and snapshots run on every
+// broadcast, so the report is cached on the room until players, colors, teams or settings change
+function rosterReport(room) {
+  const key = JSON.stringify([
+    room.settings,
+    Object.values(room.players).map((p) => [p.id, p.name, p.team, p.colorProfile]),
+  ]);
+  if (room.roster?.key !== key) room.roster = { key, report: validateRoster(room) };
+  return room.roster.report;
 }
 
-function aliveCount(room) {
-  return Object.values(room.players).filter((p) => p.alive).length;
+// tell the host right away when a new assignment lands close to someone else
+function warnColorCollisions(room, player, socket) {
+  const players = Object.values(room.players);
+  for (const c of colorCollisions(room, players)) {
+    if (c.a !== player.id && c.b !== player.id) continue;
+    const other = room.players[c.a === player.id ? c.b : c.a];
+    toast(socket, "warn", "color_lookalike", {
+      name: player.name,
+      other: other.name,
+      distance: Math.round(c.distance * 10) / 10,
+    });
+  }
+}
+
+// a "side" is a team in team games and a single player in chaos
+function sideOf(room, p) {
+  return room.settings.gameType === "chaos" ? p.id : p.team || "X";
 }
 
-function aliveTeams(room) {
+// sides that still have at least one player for whom inPlay(p) holds
+function sidesStanding(room, inPlay) {
   const set = new Set();
   for (const p of Object.values(room.players)) {
-    if (!p.alive) continue;
-    if (room.settings.gameType === "chaos") set.add("solo");
-    else set.add(p.team || "X");
+    if (inPlay(p)) set.add(sideOf(room, p));
   }
   return set;
 }
 
-function computeWinner(room) {
-  const players = Object.values(room.players);
+// winner by lexicographic score keys (e.g. [kills, damage]); team games sum keys per team
+function rankSides(room, keysOf) {
+  const agg = new Map();
+  for (const p of Object.values(room.players)) {
+    const side = sideOf(room, p);
+    const keys = keysOf(p);
+    const cur = agg.get(side);
+    if (!cur) agg.set(side, { side, player: p, keys: keys.slice() });
+    else cur.keys = cur.keys.map((k, i) => k + keys[i]);
+  }
+
+  const sorted = [...agg.values()].sort((a, b) => {
+    for (let i = 0; i < a.keys.length; i++) {
+      if (b.keys[i] !== a.keys[i]) return b.keys[i] - a.keys[i];
+    }
+    return 0;
+  });
+  const best = sorted[0];
 
   if (room.settings.gameType === "chaos") {
-    // winner is highest kills, tie by damage
-    const sorted = players.slice().sort((a, b) => {
-      if ((b.stats.kills || 0) !== (a.stats.kills || 0)) return (b.stats.kills || 0) - (a.stats.kills || 0);
-      if ((b.stats.damageDealt || 0) !== (a.stats.damageDealt || 0)) return (b.stats.damageDealt || 0) - (a.stats.damageDealt || 0);
-      return (b.stats.hits || 0) - (a.stats.hits || 0);
-    });
-    return { type: "player", id: sorted[0]?.id || null, name: sorted[0]?.name || null };
+    return { type: "player", id: best?.player.id || null, name: best?.player.name || null };
   }
+  const team = room.teams.find((t) => t.id === best?.side);
+  return { type: "team", team: best?.side || null, name: team ? team.name : null };
+}
 
-  // team mode: team with most kills (tie by damage)
-  const teamAgg = { A: { kills: 0, damage: 0 }, B: { kills: 0, damage: 0 } };
-  for (const p of players) {
-    const t = p.team;
-    if (!t || !teamAgg[t]) continue;
-    teamAgg[t].kills += p.stats.kills || 0;
-    teamAgg[t].damage += p.stats.damageDealt || 0;
+const combatKeys = (p) => [p.stats.kills || 0, p.stats.damageDealt || 0, p.stats.hits || 0];
+
+function respawnPlayer(room, p) {
+  p.hp = room.settings.maxHp;
+  p.alive = true;
+  p.respawnAt = 0;
+  p.protectedUntil = now() + room.settings.spawnProtectionSec * 1000;
+  logEvent(room, "respawn", { actorId: p.id, hp: p.hp });
+}
+
+function scheduleRespawn(room, p) {
+  p.alive = false;
+  p.respawnAt = now() + room.settings.respawnDelaySec * 1000;
+}
+
+// bring back everyone whose respawn timer ran out; true if anyone came back
+function respawnDue(room, ts) {
+  let changed = false;
+  for (const p of Object.values(room.players)) {
+    if (p.alive || !p.respawnAt || ts < p.respawnAt) continue;
+    respawnPlayer(room, p);
+    changed = true;
   }
-  const A = teamAgg.A,
-    B = teamAgg.B;
-  let win = "A";
-  if (B.kills > A.kills) win = "B";
-  else if (B.kills === A.kills && B.damage > A.damage) win = "B";
-  return { type: "team", team: win };
+  return changed;
+}
+
+// Game-mode modules. Hooks (all receive the room):
+//   setup(room)                   per-match init, after players are reset
+//   damage(room, shooter, target, dmg)  damage of one hit before shields (0 = none); return the amount
+//   onKill(room, shooter, target) target's hp hit 0 (kills are already counted)
+//   tick(room, ts)                every timer tick; return true if state changed
+//   resume(room, pausedMs)        host resumed a paused match (per-player clocks are already shifted)
+//   checkEnd(room)                end reason ("elimination", ...) or null; time limit is generic
+//   winner(room)                  { type: "team", team } | { type: "player", id, name }
+// A mode may also pin the bullet mode with needsMode ("standard" | "limited").
+const GAME_MODES = {
+  elimination: {
+    label: "Elimination",
+    setup() {},
+    damage(room, shooter, target, dmg) {
+      return dmg;
+    },
+    onKill(room, shooter, target) {
+      target.alive = false;
+    },
+    tick() {
+      return false;
+    },
+    resume() {},
+    checkEnd(room) {
+      return sidesStanding(room, (p) => p.alive).size <= 1 ? "elimination" : null;
+    },
+    winner(room) {
+      return rankSides(room, combatKeys);
+    },
+  },
+
+  respawn: {
+    label: "Respawn Deathmatch",
+    setup() {},
+    damage(room, shooter, target, dmg) {
+      return dmg;
+    },
+    onKill(room, shooter, target) {
+      scheduleRespawn(room, target);
+    },
+    tick(room, ts) {
+      return respawnDue(room, ts);
+    },
+    resume() {},
+    checkEnd() {
+      return null;
+    },
+    winner(room) {
+      return rankSides(room, combatKeys);
+    },
+  },
+
+  lives: {
+    label: "Lives",
+    setup(room) {
+      for (const p of Object.values(room.players)) p.lives = room.settings.lives;
+    },
+    damage(room, shooter, target, dmg) {
+      return dmg;
+    },
+    onKill(room, shooter, target) {
+      target.lives = Math.max(0, target.lives - 1);
+      if (target.lives > 0) scheduleRespawn(room, target);
+      else target.alive = false;
+    },
+    tick(room, ts) {
+      return respawnDue(room, ts);
+    },
+    resume() {},
+    checkEnd(room) {
+      return sidesStanding(room, (p) => p.alive || p.lives > 0).size <= 1 ? "elimination" : null;
+    },
+    winner(room) {
+      return rankSides(room, (p) => [p.lives || 0, ...combatKeys(p)]);
+    },
+  },
+
+  // hold-the-zone: score accrues while alive with an active shield. Shields are only
+  // re-earned by crafting, so the mode always plays in limited mode.
+  zone: {
+    label: "Hold the Zone",
+    needsMode: "limited",
+    setup(room) {
+      room.zoneTickAt = now();
+    },
+    damage(room, shooter, target, dmg) {
+      return dmg;
+    },
+    onKill(room, shooter, target) {
+      scheduleRespawn(room, target);
+    },
+    tick(room, ts) {
+      const dt = ts - (room.zoneTickAt || ts);
+      room.zoneTickAt = ts;
+
+      let changed = respawnDue(room, ts);
+      for (const p of Object.values(room.players)) {
+        if (!p.alive || (p.shieldActiveUntil || 0) <= ts) continue;
+        const before = Math.floor(p.zoneMs / 1000);
+        p.zoneMs += dt;
+        if (Math.floor(p.zoneMs / 1000) !== before) changed = true;
+      }
+      return changed;
+    },
+    resume(room) {
+      room.zoneTickAt = now(); // no zone time for the paused stretch
+    },
+    checkEnd() {
+      return null;
+    },
+    winner(room) {
+      return rankSides(room, (p) => [Math.floor(p.zoneMs / 1000), ...combatKeys(p)]);
+    },
+  },
+};
+
+function modeOf(room) {
+  return GAME_MODES[room.settings.ruleset] || GAME_MODES.elimination;
+}
+
+function computeWinner(room) {
+  return modeOf(room).winner(room);
+}
+
+// back to the lobby with fresh players (game:reset, or an admin calling off a countdown)
+function returnToLobby(room) {
+  room.phase = "lobby";
+  room.timer = null;
+  room.winner = null;
+  room.matchId = null;
+  room.timeline = [];
+  room.feed = [];
+  room.pausedAt = 0;
+
+  for (const p of Object.values(room.players)) resetPlayerForMatch(room, p);
+
+  autoAssignTeams(room);
+  broadcastState(room);
 }
 
 function endGame(room, reason = "time") {
   if (!room || room.phase !== "playing") return;
+  logEvent(room, "end", { reason });
   room.phase = "results";
+  room.pausedAt = 0;
   room.timer = { ...room.timer, endedAt: now(), reason };
   room.winner = computeWinner(room);
-  io.to(room.id).emit("room:state", roomSnapshot(room));
+  room.matchId = recordMatch(room);
+  if (room.series) recordSeriesRound(room);
+  broadcastState(room);
 }
 
-function resolveTargetByColor(room, shooterId, obs) {
-  // obs: { rgb:{r,g,b}, confidence:number }
-  // returns playerId or null
-  if (!obs || !obs.rgb) return null;
+// Tournament series: each round is an ordinary match; winners and per-player totals
+// accumulate on room.series until the series is decided. Sides are teams only while teams
+// stay together ("keep"); with swapped / rebalanced teams every player is their own side.
+const SERIES_FORMATS = ["off", "bestOf", "rounds"];
+const SERIES_TEAM_MODES = ["keep", "swap", "rebalance"];
 
-  const shooter = room.players[shooterId];
-  if (!shooter) return null;
+function makeSeries(settings) {
+  return {
+    format: settings.seriesFormat,
+    length: settings.seriesLength,
+    teams: settings.seriesTeams,
+    teamSides: settings.gameType === "team" && settings.seriesTeams === "keep",
+    round: 0,
+    rounds: [], // { round, winner, matchId }
+    sides: {}, // key -> { key, name, wins, kills, damageDealt }
+    totals: {}, // playerId -> { id, name, roundsWon, kills, damageDealt, hits, shots }
+    champion: null,
+    done: false,
+  };
+}
 
-  const candidates = [];
-  for (const [pid, p] of Object.entries(room.players)) {
-    if (!p.assignedColorHex) continue;
-    if (!p.alive) continue;
-    if (pid === shooterId) continue;
+function seriesStandings(series) {
+  return Object.values(series.sides).sort(
+    (a, b) => b.wins - a.wins || b.kills - a.kills || b.damageDealt - a.damageDealt
+  );
+}
 
-    // friendly fire off in team mode
-    if (room.settings.gameType === "team" && shooter.team && p.team && shooter.team === p.team) continue;
+function recordSeriesRound(room) {
+  const series = room.series;
+  const winners = new Set();
 
-    const d = rgbDist(obs.rgb, p.assignedRgb);
-    candidates.push({ pid, d });
+  for (const p of Object.values(room.players)) {
+    const won = isWinner(room.winner, p);
+
+    const t = (series.totals[p.id] ||= { id: p.id, name: p.name, roundsWon: 0, kills: 0, damageDealt: 0, hits: 0, shots: 0 });
+    t.name = p.name;
+    for (const k of ["kills", "damageDealt", "hits", "shots"]) t[k] += p.stats[k] || 0;
+    if (won) t.roundsWon += 1;
+
+    const team = series.teamSides && room.teams.find((x) => x.id === p.team);
+    const key = team ? team.id : p.id;
+    const side = (series.sides[key] ||= { key, name: "", wins: 0, kills: 0, damageDealt: 0 });
+    side.name = team ? team.name : p.name;
+    side.kills += p.stats.kills || 0;
+    side.damageDealt += p.stats.damageDealt || 0;
+    if (won) winners.add(side);
   }
+  for (const side of winners) side.wins += 1;
 
-  if (!candidates.length) return null;
-  candidates.sort((a, b) => a.d - b.d);
+  series.rounds.push({ round: series.round, winner: room.winner, matchId: room.matchId });
+
+  const [lead] = seriesStandings(series);
+  const clinched = series.format === "bestOf" && lead && lead.wins > series.length / 2;
+  if (clinched || series.rounds.length >= series.length) {
+    series.done = true;
+    series.champion = lead ? { type: series.teamSides ? "team" : "player", key: lead.key, name: lead.name } : null;
+  }
+}
 
-  // dynamic threshold based on confidence
-  const conf = clamp(obs.confidence ?? 0.3, 0, 1);
-  // High confidence => strict. Low confidence => looser but capped.
-  const threshold = clamp(55 - conf * 20, 35, 60);
+// between rounds (team games): "swap" moves everyone to the next team, "rebalance" re-drafts
+// teams by series kills (snake order) so the strongest players are spread out
+function applySeriesTeams(room) {
+  const series = room.series;
+  if (room.settings.gameType !== "team" || series.teams === "keep") return;
 
-  const best = candidates[0];
-  if (best.d > threshold) return null;
-  return best.pid;
+  const ids = room.teams.map((t) => t.id);
+  const players = Object.values(room.players);
+
+  if (series.teams === "swap") {
+    for (const p of players) {
+      const i = ids.indexOf(p.team);
+      if (i >= 0) p.team = ids[(i + 1) % ids.length];
+    }
+    return;
+  }
+
+  const killsOf = (p) => series.totals[p.id]?.kills || 0;
+  players.sort((a, b) => killsOf(b) - killsOf(a) || a.joinedAt - b.joinedAt);
+  players.forEach((p, i) => {
+    const lap = Math.floor(i / ids.length);
+    const pos = i % ids.length;
+    p.team = ids[lap % 2 ? ids.length - 1 - pos : pos];
+    p.teamPinned = false;
+  });
 }
 
-function canShoot(room, player) {
-  if (!player.alive) return { ok: false, reason: "dead" };
-  if (room.settings.mode === "standard") return { ok: true };
-  if (player.bullets <= 0) return { ok: false, reason: "no_bullets" };
-  return { ok: true };
+function seriesSnapshot(series) {
+  if (!series) return null;
+  return {
+    format: series.format,
+    length: series.length,
+    teams: series.teams,
+    round: series.round,
+    rounds: series.rounds,
+    standings: seriesStandings(series),
+    players: Object.values(series.totals).sort((a, b) => b.roundsWon - a.roundsWon || b.kills - a.kills),
+    champion: series.champion,
+    done: series.done,
+  };
 }
 
-function applyDamage(room, shooterId, targetId) {
-  const shooter = room.players[shooterId];
-  const target = room.players[targetId];
-  if (!shooter || !target) return;
+// host pause: every running clock is pushed back by the paused duration on resume,
+// so the match timer, shields, boosts, respawns and craft tasks all pick up where they stopped
+function pauseMatch(room) {
+  logEvent(room, "pause", { actorId: room.hostId });
+  room.pausedAt = now();
+}
 
-  const dmg = clamp(Number(room.settings.damagePerHit || 10), 1, 999);
+function resumeMatch(room) {
   const ts = now();
+  const from = room.pausedAt;
+  const dt = ts - from;
+  room.pausedAt = 0;
 
-  const shieldActive = (target.shieldActiveUntil || 0) > ts;
+  room.timer.endAt += dt;
+  room.timer.pausedMs += dt;
+  for (const p of Object.values(room.players)) {
+    if (p.shieldActiveUntil > from) p.shieldActiveUntil += dt;
+    if (p.boostUntil > from) p.boostUntil += dt;
+    if (p.respawnAt) p.respawnAt += dt;
+    if (p.protectedUntil > from) p.protectedUntil += dt;
+    if (p.regenAt) p.regenAt += dt;
+    if (p.earnTask) p.earnTask.expiresAt += dt;
+  }
+  modeOf(room).resume(room, dt);
+  logEvent(room, "resume", { actorId: room.hostId, pausedMs: dt });
+}
+
+// gameplay actions are refused while the host has the match paused
+function refusePaused(room, socket) {
+  if (!room.pausedAt) return false;
+  toast(socket, "warn", "paused");
+  return true;
+}
+
+// per-match event timeline (hits, kills, shields, crafts, misses, ...) for export and replay.
+// Every event: { t, type, actorId, ...type-specific }; `hp` is the affected player's hp afterwards.
+function logEvent(room, type, fields) {
+  if (room.phase !== "playing") return;
+  const t = now();
+  room.timeline.push({ t, type, ...fields });
+  if (type === "hit" || type === "miss") countShot(t, type === "hit", fields.reason);
+}
+
+const TIMELINE_CSV_COLUMNS = ["elapsedMs", "type", "actorId", "actorName", "targetId", "targetName", "dmg", "hp", "shielded", "zone", "detail"];
+
+function csvCell(v) {
+  const str = v === undefined || v === null ? "" : String(v);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
 
-  if (!shieldActive) {
-    target.hp -= dmg;
-    if (target.hp < 0) target.hp = 0;
+function timelineCsv(match) {
+  const names = Object.fromEntries(match.players.map((p) => [p.id, p.name]));
+  const rows = [TIMELINE_CSV_COLUMNS.join(",")];
+  for (const e of match.timeline) {
+    const detail = e.reason || e.recipe || e.item || "";
+    rows.push(
+      [
+        e.t - match.startedAt,
+        e.type,
+        e.actorId,
+        names[e.actorId],
+        e.targetId,
+        names[e.targetId],
+        e.dmg,
+        e.hp,
+        e.shielded,
+        e.zone,
+        detail,
+      ]
+        .map(csvCell)
+        .join(",")
+    );
   }
+  return rows.join("\r\n") + "\r\n";
+}
 
-  shooter.stats.hits += 1;
-  shooter.stats.damageDealt += dmg;
-  shooter.stats.hitLog.push({
-    t: ts,
-    targetId,
-    targetName: target.name,
-    dmg,
-    shielded: shieldActive,
-  });
+// ---------------------------------------------------------------------------
+// match history + player profiles, persisted as JSON under DATA_DIR:
+//   matches/<matchId>.json   full record (settings, roster, winner, hit logs)
+//   profiles.json            lifetime totals keyed by profileId
+// A profileId is derived from a secret profileKey the client keeps in
+// localStorage, so it survives rooms and server restarts but can't be spoofed
+// from the public id alone.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const MATCH_DIR = path.join(DATA_DIR, "matches");
+const PROFILES_FILE = path.join(DATA_DIR, "profiles.json");
+const PROFILE_RECENT_MATCHES = 20;
+
+const matchIndex = []; // summaries, newest first
+let profiles = {};
+let storeQueue = Promise.resolve(); // serializes writes
+
+function genProfileKey() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+function profileIdFor(key) {
+  return "u_" + crypto.createHash("sha256").update(key).digest("hex").slice(0, 16);
+}
+
+function genMatchId() {
+  return "m_" + now().toString(36) + "_" + crypto.randomBytes(3).toString("hex");
+}
+
+function loadStore() {
+  fs.mkdirSync(MATCH_DIR, { recursive: true });
+  try {
+    profiles = JSON.parse(fs.readFileSync(PROFILES_FILE, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") console.error("profiles.json unreadable, starting empty:", e.message);
+    profiles = {};
+  }
+
+  for (const f of fs.readdirSync(MATCH_DIR)) {
+    if (!f.endsWith(".json")) continue;
+    try {
+      matchIndex.push(matchSummary(JSON.parse(fs.readFileSync(path.join(MATCH_DIR, f), "utf8"))));
+    } catch (e) {
+      console.error(`skipping match file ${f}:`, e.message);
+    }
+  }
+  matchIndex.sort((a, b) => b.endedAt - a.endedAt);
+}
+
+// write via temp file + rename so a crash never leaves half a JSON file behind;
+// resolves true once the file is in place, false if the write failed
+function writeJson(file, data) {
+  const body = JSON.stringify(data); // snapshot now; rooms keep mutating after this
+  storeQueue = storeQueue
+    .then(async () => {
+      const tmp = file + ".tmp";
+      await fs.promises.writeFile(tmp, body);
+      await fs.promises.rename(tmp, file);
+      return true;
+    })
+    .catch((e) => {
+      console.error(`failed to write ${file}:`, e.message);
+      return false;
+    });
+  return storeQueue;
+}
+
+// clients fetch a match as soon as its id is announced; until the file lands it is served from here
+const pendingMatches = new Map();
+
+async function readMatchJson(id) {
+  if (pendingMatches.has(id)) return JSON.stringify(pendingMatches.get(id));
+  return fs.promises.readFile(path.join(MATCH_DIR, id + ".json"), "utf8");
+}
+
+function matchSummary(m) {
+  return {
+    id: m.id,
+    roomId: m.roomId,
+    startedAt: m.startedAt,
+    endedAt: m.endedAt,
+    reason: m.reason,
+    ruleset: m.settings.ruleset,
+    gameType: m.settings.gameType,
+    mode: m.settings.mode,
+    winner: m.winner,
+    players: m.players.map((p) => ({ id: p.id, profileId: p.profileId, name: p.name, team: p.team })),
+  };
+}
+
+function isWinner(winner, p) {
+  if (!winner) return false;
+  if (winner.type === "team") return !!winner.team && p.team === winner.team;
+  return winner.id === p.id;
+}
+
+function recordMatch(room) {
+  const players = Object.values(room.players);
+  const deaths = {};
+  for (const p of players) {
+    for (const h of p.stats.hitLog) if (h.kill) deaths[h.targetId] = (deaths[h.targetId] || 0) + 1;
+  }
+
+  const match = {
+    id: genMatchId(),
+    roomId: room.id,
+    startedAt: room.timer.startAt,
+    endedAt: room.timer.endedAt,
+    reason: room.timer.reason,
+    settings: room.settings,
+    teams: room.settings.gameType === "team" ? room.teams : [],
+    winner: room.winner,
+    timeline: room.timeline,
+    players: players.map((p) => ({
+      id: p.id,
+      profileId: p.profileId,
+      name: p.name,
+      bot: !!p.bot,
+      team: p.team,
+      assignedColorHex: p.assignedColorHex,
+      hp: p.hp,
+      alive: p.alive,
+      lives: p.lives,
+      zoneMs: p.zoneMs,
+      deaths: deaths[p.id] || 0,
+      won: isWinner(room.winner, p),
+      stats: p.stats,
+    })),
+  };
+
+  for (const mp of match.players) {
+    if (mp.bot) continue; // no lifetime profile for bots
+    const prof = (profiles[mp.profileId] ||= {
+      id: mp.profileId,
+      name: mp.name,
+      firstSeen: match.endedAt,
+      matches: 0,
+      wins: 0,
+      kills: 0,
+      deaths: 0,
+      shots: 0,
+      hits: 0,
+      damageDealt: 0,
+      recentMatches: [],
+    });
+    prof.name = mp.name;
+    prof.lastSeen = match.endedAt;
+    prof.matches += 1;
+    if (mp.won) prof.wins += 1;
+    prof.kills += mp.stats.kills;
+    prof.deaths += mp.deaths;
+    prof.shots += mp.stats.shots;
+    prof.hits += mp.stats.hits;
+    prof.damageDealt += mp.stats.damageDealt;
+    prof.recentMatches = [match.id, ...prof.recentMatches].slice(0, PROFILE_RECENT_MATCHES);
+  }
+
+  matchIndex.unshift(matchSummary(match));
+  pendingMatches.set(match.id, match);
+  // a failed write keeps the match in memory so the index entry doesn't point at nothing
+  writeJson(path.join(MATCH_DIR, match.id + ".json"), match).then((ok) => ok && pendingMatches.delete(match.id));
+  writeJson(PROFILES_FILE, profiles);
+  return match.id;
+}
+
+function profileView(prof) {
+  const ratio = (a, b) => (b > 0 ? Math.round((a / b) * 1000) / 1000 : 0);
+  return {
+    ...prof,
+    accuracy: ratio(prof.hits, prof.shots),
+    winRate: ratio(prof.wins, prof.matches),
+    kd: ratio(prof.kills, Math.max(1, prof.deaths)),
+  };
+}
+
+// GET /api/matches?limit=20&offset=0&profile=u_...
+app.get("/api/matches", (req, res) => {
+  const limit = clamp(Number(req.query.limit) || 20, 1, 100);
+  const offset = Math.max(0, Number(req.query.offset) || 0);
+  const profile = typeof req.query.profile === "string" ? req.query.profile : null;
+
+  const list = profile ? matchIndex.filter((m) => m.players.some((p) => p.profileId === profile)) : matchIndex;
+  res.json({ total: list.length, matches: list.slice(offset, offset + limit) });
+});
+
+const MATCH_ID_RE = /^m_[0-9a-z]+_[0-9a-f]{6}$/;
+
+app.get("/api/matches/:id", async (req, res) => {
+  if (!MATCH_ID_RE.test(req.params.id)) return res.status(400).json({ error: "bad match id" });
+  try {
+    const raw = await readMatchJson(req.params.id);
+    res.type("json").send(raw);
+  } catch (e) {
+    res.status(404).json({ error: "match not found" });
+  }
+});
+
+// GET /api/matches/:id/timeline?format=json|csv  (&download=1 for a file attachment)
+app.get("/api/matches/:id/timeline", async (req, res) => {
+  if (!MATCH_ID_RE.test(req.params.id)) return res.status(400).json({ error: "bad match id" });
+  let match;
+  try {
+    match = JSON.parse(await readMatchJson(req.params.id));
+  } catch (e) {
+    return res.status(404).json({ error: "match not found" });
+  }
+
+  const csv = req.query.format === "csv";
+  if (req.query.download) res.attachment(`${match.id}-timeline.${csv ? "csv" : "json"}`);
+  if (csv) return res.type("csv").send(timelineCsv(match));
+
+  res.json({
+    matchId: match.id,
+    startedAt: match.startedAt,
+    endedAt: match.endedAt,
+    maxHp: match.settings.maxHp,
+    winner: match.winner,
+    players: match.players.map((p) => ({ id: p.id, name: p.name, team: p.team, assignedColorHex: p.assignedColorHex })),
+    events: match.timeline || [],
+  });
+});
+
+// leaderboard: ?sort=kills|wins|accuracy|winRate|matches
+app.get("/api/profiles", (req, res) => {
+  const key = ["kills", "wins", "accuracy", "winRate", "matches"].includes(req.query.sort) ? req.query.sort : "kills";
+  const limit = clamp(Number(req.query.limit) || 50, 1, 200);
+  const list = Object.values(profiles).map(profileView);
+  list.sort((a, b) => b[key] - a[key]);
+  res.json({ total: list.length, profiles: list.slice(0, limit) });
+});
+
+const PROFILE_ID_RE = /^u_[0-9a-f]{16}$/; // see profileIdFor
+
+app.get("/api/profiles/:id", (req, res) => {
+  if (!PROFILE_ID_RE.test(req.params.id)) return res.status(400).json({ error: "bad profile id" });
+  const prof = Object.hasOwn(profiles, req.params.id) ? profiles[req.params.id] : null;
+  if (!prof) return res.status(404).json({ error: "profile not found" });
+  res.json(profileView(prof));
+});
+
+// Operations: /healthz and /metrics (Prometheus text format) are open; /api/admin/* needs
+// "Authorization: Bearer $ADMIN_TOKEN" and is switched off when ADMIN_TOKEN is unset.
+const STARTED_AT = now();
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+
+// process-wide attack outcomes (hit / miss events of every match); recent feeds the per-second rates
+const SHOT_RATE_WINDOW_MS = 60 * 1000;
+const shotMetrics = { hits: 0, misses: {}, recent: [] }; // misses: reason -> count; recent: [t, hit]
+
+function countShot(ts, hit, reason) {
+  if (hit) shotMetrics.hits += 1;
+  else shotMetrics.misses[reason] = (shotMetrics.misses[reason] || 0) + 1;
+  shotMetrics.recent.push([ts, hit]);
+  pruneRecentShots(ts);
+}
+
+function pruneRecentShots(ts) {
+  const cutoff = ts - SHOT_RATE_WINDOW_MS;
+  let i = 0;
+  while (i < shotMetrics.recent.length && shotMetrics.recent[i][0] < cutoff) i++;
+  if (i) shotMetrics.recent.splice(0, i);
+}
+
+// one metric family: samples are [labels | null, value]
+function metricFamily(name, type, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const [labels, value] of samples) {
+    const l = labels ? `{${Object.entries(labels).map(([k, v]) => `${k}="${v}"`).join(",")}}` : "";
+    lines.push(`${name}${l} ${value}`);
+  }
+  return lines;
+}
+
+function metricsText() {
+  const ts = now();
+  pruneRecentShots(ts);
+
+  const phases = { lobby: 0, countdown: 0, playing: 0, results: 0 };
+  const players = { connected: 0, offline: 0, bot: 0 };
+  let spectators = 0;
+  for (const room of rooms.values()) {
+    phases[room.phase] = (phases[room.phase] || 0) + 1;
+    spectators += room.spectators.size;
+    for (const p of Object.values(room.players)) players[p.bot ? "bot" : p.connected ? "connected" : "offline"] += 1;
+  }
+
+  const misses = Object.values(shotMetrics.misses).reduce((a, b) => a + b, 0);
+  const recentHits = shotMetrics.recent.filter(([, hit]) => hit).length;
+  const ratio = (a, b) => (b > 0 ? Math.round((a / b) * 1000) / 1000 : 0);
+  const windowSec = SHOT_RATE_WINDOW_MS / 1000;
+
+  return [
+    ...metricFamily("ccs_up", "gauge", "Server is up.", [[null, 1]]),
+    ...metricFamily("ccs_uptime_seconds", "gauge", "Seconds since the server started.", [[null, Math.round((ts - STARTED_AT) / 1000)]]),
+    ...metricFamily("ccs_rooms", "gauge", "Active rooms by phase.", Object.entries(phases).map(([phase, n]) => [{ phase }, n])),
+    ...metricFamily("ccs_sockets_connected", "gauge", "Connected socket.io clients.", [[null, io.engine.clientsCount]]),
+    ...metricFamily("ccs_players", "gauge", "Players in rooms by state.", Object.entries(players).map(([state, n]) => [{ state }, n])),
+    ...metricFamily("ccs_spectators", "gauge", "Spectator sockets watching rooms.", [[null, spectators]]),
+    ...metricFamily("ccs_shots_total", "counter", "Attack shots resolved, by result.", [
+      [{ result: "hit" }, shotMetrics.hits],
+      [{ result: "miss" }, misses],
+    ]),
+    ...metricFamily(
+      "ccs_misses_total",
+      "counter",
+      "Missed attack shots by reason.",
+      Object.entries(shotMetrics.misses).map(([reason, n]) => [{ reason }, n])
+    ),
+    ...metricFamily("ccs_shots_per_second", "gauge", `Attack shots per second over the last ${windowSec}s.`, [
+      [null, Math.round((shotMetrics.recent.length / windowSec) * 1000) / 1000],
+    ]),
+    ...metricFamily("ccs_hit_ratio", "gauge", "Hits per resolved attack shot.", [
+      [{ window: `${windowSec}s` }, ratio(recentHits, shotMetrics.recent.length)],
+      [{ window: "total" }, ratio(shotMetrics.hits, shotMetrics.hits + misses)],
+    ]),
+    ...metricFamily("ccs_hit_miss_ratio", "gauge", "Hits per miss over all resolved attack shots.", [
+      [null, ratio(shotMetrics.hits, misses)],
+    ]),
+  ].join("\n") + "\n";
+}
+
+app.get("/healthz", (req, res) => {
+  res.json({ ok: true, uptimeSec: Math.round((now() - STARTED_AT) / 1000), rooms: rooms.size, sockets: io.engine.clientsCount });
+});
+
+app.get("/metrics", (req, res) => res.type("text/plain; version=0.0.4").send(metricsText()));
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(404).json({ error: "admin api disabled" });
+  const m = /^Bearer (.+)$/.exec(req.get("authorization") || "");
+  const digest = (v) => crypto.createHash("sha256").update(v).digest();
+  if (!m || !crypto.timingSafeEqual(digest(m[1]), digest(ADMIN_TOKEN))) {
+    return res.status(401).json({ error: "unauthorized" });
+  }
+  next();
+}
+app.use("/api/admin", requireAdmin);
+
+function adminRoomSummary(room) {
+  const players = Object.values(room.players);
+  return {
+    id: room.id,
+    createdAt: room.createdAt,
+    phase: room.phase,
+    paused: !!room.pausedAt,
+    gameType: room.settings.gameType,
+    mode: room.settings.mode,
+    hostName: room.players[room.hostId]?.name || null,
+    players: players.filter((p) => !p.bot).length,
+    connected: players.filter((p) => !p.bot && p.connected).length,
+    bots: players.filter((p) => p.bot).length,
+    spectators: room.spectators.size,
+    locked: room.locked,
+    series: room.series ? { round: room.series.round, done: room.series.done } : null,
+  };
+}
+
+app.get("/api/admin/rooms", (req, res) => {
+  const list = [...rooms.values()].map(adminRoomSummary);
+  res.json({ total: list.length, rooms: list });
+});
+
+app.get("/api/admin/rooms/:id", (req, res) => {
+  const room = rooms.get(req.params.id);
+  if (!room) return res.status(404).json({ error: "room not found" });
+  res.json(roomSnapshot(room));
+});
+
+// force-end the running match; it is scored and recorded like any other ending. A match still
+// counting down hasn't been played, so it is called off instead (back to the lobby, nothing recorded).
+app.post("/api/admin/rooms/:id/end", (req, res) => {
+  const room = rooms.get(req.params.id);
+  if (!room) return res.status(404).json({ error: "room not found" });
+  if (room.phase === "countdown") {
+    returnToLobby(room);
+    return res.json({ ok: true, matchId: null, cancelled: true });
+  }
+  if (room.phase !== "playing") return res.status(409).json({ error: "no match in progress" });
+
+  endGame(room, "admin");
+  res.json({ ok: true, matchId: room.matchId });
+});
+
+app.delete("/api/admin/rooms/:id", (req, res) => {
+  const room = rooms.get(req.params.id);
+  if (!room) return res.status(404).json({ error: "room not found" });
+  closeRoom(room);
+  res.json({ ok: true });
+});
+
+// living players with a color profile, closest to the observation first
+function colorCandidates(room, shooter, obsLab, includeTeammates) {
+  const out = [];
+  for (const [pid, p] of Object.entries(room.players)) {
+    if (!p.colorProfile) continue;
+    if (!p.alive) continue;
+    if (pid === shooter.id) continue;
+
+    const teammate = room.settings.gameType === "team" && !!shooter.team && !!p.team && shooter.team === p.team;
+    // friendly fire off in team mode
+    if (teammate && !includeTeammates) continue;
+
+    out.push({ pid, d: profileDistance(room, p.colorProfile, obsLab), teammate });
+  }
+  return out.sort((a, b) => a.d - b.d);
+}
+
+function resolveTargetByColor(room, shooterId, obs) {
+  // obs: { rgb:{r,g,b}, confidence:number }
+  // returns { targetId, deltaE } or null
+  if (!obs || !obs.rgb) return null;
+
+  const shooter = room.players[shooterId];
+  if (!shooter) return null;
+
+  const ff = room.settings.friendlyFire !== "off";
+  const candidates = colorCandidates(room, shooter, rgbToLab(sanitizeRgb(obs.rgb)), ff);
+  if (!candidates.length) return null;
+
+  const threshold = colorThreshold(room.settings.hitTolerance, obs.confidence);
+
+  const best = candidates[0];
+  if (best.d > threshold) return null;
+  return { targetId: best.pid, deltaE: best.d, teammate: best.teammate };
+}
+
+// how much closer (ΔE) a teammate must be than the intended enemy before we call it friendly
+const INTENT_TEAMMATE_MARGIN = 5;
+
+// "intent" resolution: the enemy the shooter picked in the target modal gets the hit when the
+// observation is within tolerance of their profile; a color that clearly belongs to a teammate
+// is rejected (or hits them, with friendly fire on); otherwise fall back to the nearest enemy.
+function resolveTargetByIntent(room, shooterId, obs, intentTargetId) {
+  if (!obs || !obs.rgb) return null;
+
+  const shooter = room.players[shooterId];
+  if (!shooter) return null;
+
+  const all = colorCandidates(room, shooter, rgbToLab(sanitizeRgb(obs.rgb)), true);
+  if (!all.length) return null;
+
+  const threshold = colorThreshold(room.settings.hitTolerance, obs.confidence);
+  const intent = all.find((c) => c.pid === intentTargetId && !c.teammate) || null;
+  const best = all[0];
+
+  if (best.teammate && best.d <= threshold && (!intent || intent.d - best.d > INTENT_TEAMMATE_MARGIN)) {
+    if (room.settings.friendlyFire !== "off") return { targetId: best.pid, deltaE: best.d, teammate: true };
+    return { targetId: null, rejected: "teammate", teammateId: best.pid, deltaE: best.d };
+  }
+
+  if (intent && intent.d <= threshold) return { targetId: intent.pid, deltaE: intent.d };
+
+  const enemy = all.find((c) => !c.teammate);
+  if (enemy && enemy.d <= threshold) return { targetId: enemy.pid, deltaE: enemy.d };
+  return null;
+}
+
+function canShoot(room, player) {
+  if (!player.alive) return { ok: false, reason: "dead" };
+  if (room.settings.mode === "standard") return { ok: true };
+  if (player.bullets <= 0) return { ok: false, reason: "no_bullets" };
+  return { ok: true };
+}
+
+// body zones reported by the client from where the crosshair sits in the person bbox
+const HIT_ZONES = ["head", "torso", "legs"];
+
+// entries kept in room.feed (snapshot) for live kill feeds
+const FEED_SIZE = 12;
+
+function zoneMultiplier(room, zone) {
+  const s = room.settings;
+  if (zone === "head") return s.headMultiplier;
+  if (zone === "legs") return s.legsMultiplier;
+  return s.torsoMultiplier;
+}
+
+// extra: additional hit-log fields (e.g. intent vs. resolved target, body zone, friendly)
+function applyDamage(room, shooterId, targetId, extra = {}) {
+  const shooter = room.players[shooterId];
+  const target = room.players[targetId];
+  if (!shooter || !target) return;
+
+  const ts = now();
+  const zone = HIT_ZONES.includes(extra.zone) ? extra.zone : "torso";
+  const boosted = (shooter.boostUntil || 0) > ts;
+  let base = Number(room.settings.damagePerHit || 10) * zoneMultiplier(room, zone);
+  if (boosted) base *= room.settings.boostMultiplier;
+  if (extra.friendly && room.settings.friendlyFire === "reduced") base *= room.settings.friendlyFireScale;
+  const rolled = clamp(Math.round(base), 1, 999);
+  const dmg = clamp(Math.round(modeOf(room).damage(room, shooter, target, rolled)), 0, 999); // the mode has the last word
+
+  // an active shield absorbs shieldReduction% of the hit
+  const shieldActive = (target.shieldActiveUntil || 0) > ts;
+  const taken = shieldActive ? Math.round((dmg * (100 - room.settings.shieldReduction)) / 100) : dmg;
+  target.hp = Math.max(0, target.hp - taken);
+
+  const kill = target.hp <= 0 && target.alive;
+
+  if (extra.friendly) {
+    shooter.stats.teamDamage += dmg;
+  } else {
+    shooter.stats.hits += 1;
+    shooter.stats.damageDealt += dmg;
+  }
+  shooter.stats.hitLog.push({
+    t: ts,
+    targetId,
+    targetName: target.name,
+    dmg,
+    shielded: shieldActive,
+    kill,
+    ...extra,
+    zone,
+    boosted,
+  });
+  shooter.stats.zoneHits[zone] += 1;
+  room.feed = [
+    { t: ts, shooterId, shooterName: shooter.name, targetId, targetName: target.name, dmg, shielded: shieldActive, kill },
+    ...room.feed,
+  ].slice(0, FEED_SIZE);
+  logEvent(room, "hit", { actorId: shooterId, targetId, dmg: taken, hp: target.hp, shielded: shieldActive, zone, boosted, friendly: !!extra.friendly });
+
+  notify(target, shieldActive ? "player:shieldBlocked" : "player:hit", {
+    byId: shooterId,
+    byName: shooter.name,
+    dmg: taken,
+    zone,
+    hp: target.hp,
+  });
+  notify(shooter, "player:hitLanded", { targetId, targetName: target.name, dmg, shielded: shieldActive, zone, kill, friendly: !!extra.friendly });
+
+  if (kill) {
+    if (!extra.friendly) shooter.stats.kills += 1; // team kills don't score
+    logEvent(room, "kill", { actorId: shooterId, targetId, hp: 0 });
+    modeOf(room).onKill(room, shooter, target);
+    notify(target, "player:eliminated", { byId: shooterId, byName: shooter.name, respawnAt: target.respawnAt || 0 });
+    notify(shooter, "player:kill", { targetId, targetName: target.name });
+  }
+}
+
+// event for one player's current socket only (skipped while they're offline)
+function notify(p, event, payload) {
+  if (p.connected && p.socketId) io.to(p.socketId).emit(event, payload);
+}
+
+// one heads-up per activation when a shield is about to run out
+const SHIELD_WARN_MS = 3000;
+
+function warnExpiringShields(room, ts) {
+  for (const p of Object.values(room.players)) {
+    const left = (p.shieldActiveUntil || 0) - ts;
+    if (left <= 0 || left > SHIELD_WARN_MS || p.shieldWarned) continue;
+    p.shieldWarned = true;
+    notify(p, "player:shieldExpiring", { remainingMs: left });
+  }
+}
+
+// limited mode: one bullet every bulletRegenSec while alive and below bulletRegenCap
+function regenBullets(room, ts) {
+  const s = room.settings;
+  if (s.mode !== "limited" || s.bulletRegenSec <= 0) return false;
+
+  let changed = false;
+  for (const p of Object.values(room.players)) {
+    if (!p.alive || p.bullets >= s.bulletRegenCap) {
+      if (p.regenAt) changed = true;
+      p.regenAt = 0;
+      continue;
+    }
+    if (!p.regenAt) {
+      p.regenAt = ts + s.bulletRegenSec * 1000;
+      changed = true;
+    } else if (ts >= p.regenAt) {
+      p.bullets += 1;
+      p.regenAt = p.bullets < s.bulletRegenCap ? ts + s.bulletRegenSec * 1000 : 0;
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+function tickRoomTimers() {
+  const ts = now();
+
+  for (const room of rooms.values()) {
+    // drop players whose reconnect grace period ran out
+    const expired = Object.values(room.players).filter(
+      (p) => !p.connected && ts - p.disconnectedAt > RECONNECT_GRACE_MS
+    );
+    for (const p of expired) removePlayer(room, p.id);
+    if (!rooms.has(room.id)) continue;
+
+    // countdown over: the clock was already set to run from startAt
+    if (room.phase === "countdown" && ts >= room.timer.startAt) {
+      room.phase = "playing";
+      broadcastState(room);
+    }
+
+    if (room.pausedAt) continue;
+
+    // expire earn tasks in limited mode (prevents stale tasks if player never shoots)
+    if (room.phase === "playing" && room.settings.mode === "limited") {
+      let changed = false;
+      for (const p of Object.values(room.players)) {
+        if (p.earnTask && ts > p.earnTask.expiresAt) {
+          p.earnTask = null;
+          changed = true;
+        }
+      }
+      if (changed) broadcastState(room);
+    }
+
+    if (room.phase !== "playing") continue;
+
+    warnExpiringShields(room, ts);
+    if (regenBullets(room, ts)) broadcastState(room);
+    botTick(room, ts);
+    if (modeOf(room).tick(room, ts)) broadcastState(room);
+
+    // time end
+    if (room.timer?.endAt && ts >= room.timer.endAt) {
+      endGame(room, "time");
+      continue;
+    }
+
+    const reason = modeOf(room).checkEnd(room);
+    if (reason) endGame(room, reason);
+  }
+}
+setInterval(tickRoomTimers, 500);
+
+// incoming event validation: every client event has a payload schema; packets that
+// don't match are dropped before any handler runs (handlers can trust field types).
+const MAX_EVENTS_PER_SEC = 25;
+const BURST_WINDOW_MS = 5000;
+
+const isObj = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const V = {
+  roomId: (v) => (typeof v === "string" || typeof v === "number") && /^\d{4}$/.test(String(v).trim()),
+  name: (v) => typeof v === "string" && v.length <= 64,
+  token: (v) => typeof v === "string" && /^[0-9a-f]{1,128}$/.test(v),
+  profileKey: (v) => typeof v === "string" && /^[0-9a-f]{32}$/.test(v),
+  passcode: (v) => typeof v === "string" && v.trim().length >= 1 && v.length <= 16,
+  playerId: (v) => typeof v === "string" && /^p_[0-9a-f]{12}$/.test(v),
+  hex: (v) => typeof v === "string" && /^#[0-9a-fA-F]{6}$/.test(v.trim()),
+  teamId: (v) => typeof v === "string" && /^[A-F]$/.test(v),
+  unit: (v) => typeof v === "number" && Number.isFinite(v) && v >= 0 && v <= 1,
+  bool: (v) => typeof v === "boolean",
+  obj: isObj,
+  oneOf: (...vals) => (v) => vals.includes(v),
+  obs: (v) => {
+    if (!isObj(v) || !isObj(v.rgb)) return false;
+    const ch = (c) => Number.isInteger(c) && c >= 0 && c <= 255;
+    if (!ch(v.rgb.r) || !ch(v.rgb.g) || !ch(v.rgb.b)) return false;
+    return v.confidence === undefined || V.unit(v.confidence);
+  },
+};
+// optional: undefined/null allowed
+const opt = (fn) => (v) => v === undefined || v === null || fn(v);
+
+const EVENT_SCHEMAS = {
+  "room:create": { name: opt(V.name), profileKey: opt(V.profileKey) },
+  "room:join": { roomId: V.roomId, name: opt(V.name), profileKey: opt(V.profileKey), passcode: opt(V.passcode) },
+  "room:resume": { roomId: V.roomId, token: V.token },
+  "room:leave": { roomId: V.roomId },
+  "lobby:updateSettings": { roomId: V.roomId, settings: V.obj },
+  "lobby:assignColor": { roomId: V.roomId, playerId: V.playerId, colorHex: V.hex, confidence: opt(V.unit) },
+  "lobby:addColorSample": { roomId: V.roomId, playerId: V.playerId, colorHex: V.hex, confidence: opt(V.unit) },
+  "lobby:clearColor": { roomId: V.roomId, playerId: V.playerId },
+  "game:reset": { roomId: V.roomId, endSeries: opt(V.bool) },
+  "game:shieldActivate": { roomId: V.roomId },
+  "game:earnStart": { roomId: V.roomId, type: V.oneOf(...RECIPE_IDS) },
+  "game:useItem": { roomId: V.roomId, item: V.oneOf("medkit", "boost") },
+  "game:shoot": {
+    roomId: V.roomId,
+    shootType: V.oneOf("attack", "earn"),
+    hasTarget: opt(V.bool),
+    torsoObs: opt(V.obs),
+    crossObs: opt(V.obs),
+    intentTargetId: opt(V.playerId),
+    hitZone: opt(V.oneOf(...HIT_ZONES)),
+  },
+  "host:getFlags": { roomId: V.roomId },
+  "game:start": { roomId: V.roomId, force: opt(V.bool) },
+  "room:sync": { roomId: V.roomId },
+  "room:getLogs": { roomId: V.roomId, playerId: V.playerId },
+  "lobby:setReady": { roomId: V.roomId, ready: V.bool },
+  "host:pause": { roomId: V.roomId, paused: V.bool },
+  "host:kick": { roomId: V.roomId, playerId: V.playerId, ban: opt(V.bool) },
+  "host:lockRoom": { roomId: V.roomId, locked: V.bool },
+  "host:setPasscode": { roomId: V.roomId, passcode: (v) => V.passcode(v) || v === "" },
+  "host:transfer": { roomId: V.roomId, playerId: V.playerId },
+  "host:addBot": { roomId: V.roomId, team: opt(V.teamId) },
+  "room:spectate": { roomId: V.roomId },
+  "lobby:setTeam": { roomId: V.roomId, playerId: V.playerId, team: V.teamId },
+  "lobby:chooseTeam": { roomId: V.roomId, team: V.teamId },
+  "lobby:lockTeams": { roomId: V.roomId, locked: V.bool },
+  "lobby:updateTeams": {
+    roomId: V.roomId,
+    teams: (v) =>
+      Array.isArray(v) &&
+      v.length <= TEAM_DEFAULTS.length &&
+      v.every((t) => isObj(t) && V.teamId(t.id) && opt(V.name)(t.name) && opt(V.hex)(t.color)),
+  },
+};
+
+function validatePayload(event, payload) {
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) return `unknown event ${event}`;
+  if (!isObj(payload)) return "payload must be an object";
+  for (const [key, check] of Object.entries(schema)) {
+    if (!check(payload[key])) return `invalid ${key}`;
+  }
+  return null;
+}
+
+// suspicious-pattern flags are kept per player for the room's lifetime and pushed to the host;
+// params / message come from the "flag_<code>" catalog entry
+function raiseFlag(room, p, code, params) {
+  if (p.bot) return;
+  const { message } = msg("flag_" + code, params);
+  const f = p.ac.flags[code] || { code, count: 0, t: 0 };
+  f.count += 1;
+  f.t = now();
+  f.params = params;
+  f.message = message;
+  p.ac.flags[code] = f;
+
+  const host = room.players[room.hostId];
+  if (host && host.socketId) {
+    io.to(host.socketId).emit("host:flag", { playerId: p.id, name: p.name, code, params, message, count: f.count });
+  }
+}
+
+function flagReport(room) {
+  return Object.values(room.players)
+    .filter((p) => Object.keys(p.ac.flags).length)
+    .map((p) => ({ playerId: p.id, name: p.name, flags: Object.values(p.ac.flags) }));
+}
+
+// per-player fire-rate limits: minimum gap between shots + max shots per BURST_WINDOW_MS
+function checkFireRate(room, p) {
+  const ts = now();
+  const s = room.settings;
+  p.ac.shotTimes = p.ac.shotTimes.filter((t) => ts - t < BURST_WINDOW_MS);
+
+  const last = p.ac.shotTimes[p.ac.shotTimes.length - 1] || 0;
+  if (ts - last < s.fireCooldownMs || p.ac.shotTimes.length >= s.burstLimit) {
+    p.ac.rateViolations += 1;
+    if (p.ac.rateViolations % 10 === 0) {
+      raiseFlag(room, p, "fire_rate", { count: p.ac.rateViolations });
+    }
+    return false;
+  }
+
+  p.ac.shotTimes.push(ts);
+  return true;
+}
+
+// plausibility checks on attack shots; real camera samples are noisy
+function observeAttack(room, p, obs, deltaE) {
+  const ac = p.ac;
+  ac.confs.push(obs.confidence ?? 0.3);
+  if (ac.confs.length > 10) ac.confs.shift();
+  if (deltaE != null) {
+    ac.hitDeltas.push(deltaE);
+    if (ac.hitDeltas.length > 10) ac.hitDeltas.shift();
+  }
+
+  if (ac.confs.length >= 10) {
+    const min = Math.min(...ac.confs),
+      max = Math.max(...ac.confs);
+    if (min >= 0.99 || max - min < 0.001) {
+      raiseFlag(room, p, "constant_confidence", { confidence: Math.round(min * 100) });
+      ac.confs = [];
+    }
+  }
+
+  if (ac.hitDeltas.length >= 8) {
+    const mean = ac.hitDeltas.reduce((a, b) => a + b, 0) / ac.hitDeltas.length;
+    if (mean < 0.75) {
+      raiseFlag(room, p, "exact_color", { distance: Math.round(mean * 100) / 100 });
+      ac.hitDeltas = [];
+    }
+  }
+
+  // runs before applyDamage, so count this shot's hit ourselves
+  const shots = p.stats.shots;
+  const hits = p.stats.hits + (deltaE != null ? 1 : 0);
+  if (shots >= 20 && shots % 10 === 0 && hits / shots >= 0.95) {
+    raiseFlag(room, p, "hit_rate", { hits, shots });
+  }
+}
+
+// Player actions, shared by the socket handlers and server-side bots. The caller has already
+// checked room phase / pause / player lookup; reply(type, code, params) delivers the player's toast.
+const toastTo = (socket) => (type, code, params) => toast(socket, type, code, params);
+
+function activateShield(room, p, reply) {
+  const ts = now();
+  if ((p.shieldActiveUntil || 0) > ts) {
+    reply("warn", "shield_active");
+    return;
+  }
+
+  if (p.shields <= 0) {
+    reply("warn", "no_shields");
+    return;
+  }
+
+  p.shields -= 1;
+  p.shieldActiveUntil = ts + room.settings.shieldDurationSec * 1000;
+  p.shieldWarned = false;
+  logEvent(room, "shield", { actorId: p.id, until: p.shieldActiveUntil });
+
+  broadcastState(room);
+}
+
+function startCraft(room, p, type, reply) {
+  if (room.settings.mode !== "limited") {
+    reply("warn", "craft_limited_only");
+    return;
+  }
+
+  const recipe = room.settings.recipes.find((r) => r.id === type);
+  if (!recipe || !recipe.enabled) {
+    reply("warn", "recipe_disabled");
+    return;
+  }
+
+  const item = CRAFT_ITEMS[recipe.item];
+  if (item.have(p) >= item.cap(room)) {
+    reply("warn", "craft_cap", { recipe: recipe.id, item: recipe.label, cap: item.cap(room) });
+    return;
+  }
+
+  const tier = CRAFT_TIERS[recipe.tier];
+  p.earnTask = {
+    type: recipe.id,
+    tier: recipe.tier,
+    sequence: craftSequence(recipe.steps),
+    step: 0,
+    expiresAt: now() + tier.timeoutSec * 1000,
+  };
+
+  broadcastState(room);
+}
+
+function takeShot(room, shooter, { shootType, hasTarget, hitZone, torsoObs, crossObs, intentTargetId }, reply) {
+  if (!shooter.alive) {
+    reply("warn", "dead");
+    return;
+  }
+
+  if (!checkFireRate(room, shooter)) {
+    reply("warn", "fire_rate");
+    return;
+  }
+
+  const limited = room.settings.mode === "limited";
+
+  // EARN shot
+  if (shootType === "earn") {
+    if (!limited) {
+      reply("warn", "not_limited");
+      return;
+    }
+    if (!shooter.earnTask) {
+      reply("warn", "no_craft_task");
+      return;
+    }
+    if (now() > shooter.earnTask.expiresAt) {
+      shooter.earnTask = null;
+      reply("warn", "craft_expired");
+      broadcastState(room);
+      return;
+    }
+    if (!crossObs || !crossObs.rgb) {
+      reply("warn", "no_sample");
+      return;
+    }
+
+    const conf = clamp(Number(crossObs.confidence ?? 0.3), 0, 1);
+    if (conf < 0.25) {
+      reply("warn", "low_confidence");
+      return;
+    }
+
+    const task = shooter.earnTask;
+    const reqLab = rgbToLab(hexToRgb(task.sequence[task.step]));
+    const d = colorDistance(room, rgbToLab(sanitizeRgb(crossObs.rgb)), reqLab);
+
+    // threshold depends on confidence (higher conf => stricter) and the recipe tier
+    const threshold = colorThreshold(room.settings.earnTolerance * CRAFT_TIERS[task.tier].toleranceScale, conf);
+
+    if (d > threshold) {
+      reply("warn", "craft_mismatch");
+      return;
+    }
+
+    task.step += 1;
+    if (task.step < task.sequence.length) {
+      reply("ok", "craft_step", { step: task.step, steps: task.sequence.length });
+      broadcastState(room);
+      return;
+    }
+
+    const recipe = room.settings.recipes.find((r) => r.id === task.type);
+    CRAFT_ITEMS[recipe.item].give(room, shooter, recipe.amount);
+    logEvent(room, "craft", { actorId: shooter.id, recipe: recipe.id, item: recipe.item, amount: recipe.amount });
+    reply("ok", "crafted", { recipe: recipe.id, item: recipe.label, amount: recipe.amount });
+    shooter.earnTask = null;
+    broadcastState(room);
+    return;
+  }
+
+  // ATTACK shot
+  if (!hasTarget) {
+    logEvent(room, "miss", { actorId: shooter.id, reason: "no_target" });
+    reply("warn", "miss_no_target");
+    return;
+  }
+
+  const shootCheck = canShoot(room, shooter);
+  if (!shootCheck.ok) {
+    if (shootCheck.reason === "no_bullets") reply("warn", "no_bullets");
+    else reply("warn", "cannot_shoot");
+    return;
+  }
+
+  if (!torsoObs || !torsoObs.rgb) {
+    reply("warn", "no_target_color");
+    return;
+  }
+
+  // reduce bullets in limited mode
+  if (limited) shooter.bullets -= 1;
+
+  shooter.stats.shots += 1;
+
+  // resolve target player by color observation (optionally checked against the picked enemy)
+  const intentId = typeof intentTargetId === "string" && room.players[intentTargetId] ? intentTargetId : null;
+  const res =
+    room.settings.hitResolution === "intent"
+      ? resolveTargetByIntent(room, shooter.id, torsoObs, intentId)
+      : resolveTargetByColor(room, shooter.id, torsoObs);
+  observeAttack(room, shooter, torsoObs, res && res.targetId ? res.deltaE : null);
+
+  if (res && res.rejected === "teammate") {
+    const mate = room.players[res.teammateId];
+    shooter.stats.rejectLog.push({
+      t: now(),
+      intentTargetId: intentId,
+      teammateId: res.teammateId,
+      teammateName: mate?.name || null,
+      deltaE: Math.round(res.deltaE * 10) / 10,
+    });
+    logEvent(room, "miss", { actorId: shooter.id, reason: "teammate", targetId: res.teammateId });
+    reply("warn", "teammate_color", { name: mate?.name || "?" });
+    broadcastState(room);
+    return;
+  }
+
+  if (!res || !res.targetId) {
+    logEvent(room, "miss", { actorId: shooter.id, reason: "unknown_color" });
+    reply("warn", "unknown_color");
+    broadcastState(room);
+    return;
+  }
+
+  const target = room.players[res.targetId];
+  if ((target.protectedUntil || 0) > now()) {
+    logEvent(room, "miss", { actorId: shooter.id, reason: "protected", targetId: target.id });
+    reply("warn", "spawn_protected", { name: target.name });
+    broadcastState(room);
+    return;
+  }
+
+  applyDamage(room, shooter.id, res.targetId, {
+    intentTargetId: intentId,
+    intentName: intentId ? room.players[intentId].name : null,
+    intentMismatch: !!intentId && intentId !== res.targetId,
+    deltaE: Math.round(res.deltaE * 10) / 10,
+    zone: hitZone,
+    friendly: !!res.teammate,
+  });
+
+  broadcastState(room);
+}
+
+// ---------------------------------------------------------------------------
+// Server-side bots, so rule changes can be tried on one laptop. A bot is an ordinary player
+// record (bot: true, never a socket) with a virtual uniform color; botTick drives it through
+// the same actions a phone sends, so damage, ammo and scoring follow the normal paths.
+const MAX_BOTS = 8;
+const BOT_COLORS = ["#e11d48", "#2563eb", "#16a34a", "#f59e0b", "#9333ea", "#0891b2", "#ea580c", "#db2777", "#65a30d", "#4f46e5"];
+const BOT_COLOR_JITTER = 8; // per-channel noise on a bot's "camera" sample
+const BOT_SHIELD_HP = 0.5; // raise a shield below this share of max hp
+const BOT_CRAFT_STEP_MS = 2000; // time to "find" each craft color
+const BOT_ZONES = ["head", "torso", "torso", "legs"];
+
+const noReply = () => {};
+
+function jitterRgb(rgb, amount) {
+  const j = (v) => clamp(Math.round(v + (Math.random() * 2 - 1) * amount), 0, 255);
+  return { r: j(rgb.r), g: j(rgb.g), b: j(rgb.b) };
+}
+
+// palette color farthest from every color already in the room
+function pickBotColor(room) {
+  const taken = Object.values(room.players).flatMap((p) => (p.colorProfile ? p.colorProfile.centroids : []));
+  let best = BOT_COLORS[0],
+    bestD = -1;
+  for (const hex of BOT_COLORS) {
+    const lab = rgbToLab(hexToRgb(hex));
+    const d = Math.min(Infinity, ...taken.map((c) => colorDistance(room, lab, c.lab)));
+    if (d > bestD) {
+      best = hex;
+      bestD = d;
+    }
+  }
+  return best;
+}
+
+function addBot(room, team) {
+  const names = new Set(Object.values(room.players).map((p) => p.name));
+  let n = 1;
+  while (names.has(`Bot ${n}`)) n += 1;
+
+  const bot = makePlayer(room, `Bot ${n}`);
+  bot.bot = true;
+  bot.ready = true;
+  bot.botState = { nextShotAt: 0, nextCraftAt: 0 };
+  if (team) {
+    bot.team = team;
+    bot.teamPinned = true;
+  }
+  room.players[bot.id] = bot;
+  setColorSamples(room, bot, [makeColorSample(pickBotColor(room), 0.9)]);
+  autoAssignTeams(room);
+  return bot;
+}
+
+// attack payload as a phone would send it: on target with botAccuracy, otherwise a miss
+function botAim(room, bot) {
+  const enemies = Object.values(room.players).filter(
+    (p) => p.id !== bot.id && p.alive && p.colorProfile && (room.settings.gameType === "chaos" || p.team !== bot.team)
+  );
+  const target = enemies[Math.floor(Math.random() * enemies.length)];
+  if (!target || Math.random() >= room.settings.botAccuracy) return { shootType: "attack", hasTarget: false };
+
+  return {
+    shootType: "attack",
+    hasTarget: true,
+    hitZone: BOT_ZONES[Math.floor(Math.random() * BOT_ZONES.length)],
+    torsoObs: { rgb: jitterRgb(hexToRgb(target.assignedColorHex), BOT_COLOR_JITTER), confidence: 0.6 + Math.random() * 0.3 },
+    intentTargetId: target.id,
+  };
+}
 
-  if (!shieldActive && target.hp <= 0 && target.alive) {
-    target.alive = false;
-    shooter.stats.kills += 1;
+// limited mode: craft bullets when out (shields when none left), one color step at a time;
+// true while the bot is busy crafting
+function botCraft(room, bot, ts) {
+  const st = bot.botState;
+  if (!bot.earnTask) {
+    const want = bot.bullets <= 0 ? ["bullet", "bundle"] : bot.shields <= 0 ? ["shield"] : [];
+    const recipe = room.settings.recipes.find((r) => r.enabled && want.includes(r.id));
+    if (!recipe) return false;
+    startCraft(room, bot, recipe.id, noReply);
+    st.nextCraftAt = ts + BOT_CRAFT_STEP_MS;
+    return !!bot.earnTask;
   }
-}
 
-function tickRoomTimers() {
-  const ts = now();
+  if (ts < st.nextCraftAt) return true;
+  st.nextCraftAt = ts + BOT_CRAFT_STEP_MS;
 
-  for (const room of rooms.values()) {
-    // expire earn tasks in limited mode (prevents stale tasks if player never shoots)
-    if (room.phase === "playing" && room.settings.mode === "limited") {
-      let changed = false;
-      for (const p of Object.values(room.players)) {
-        if (p.earnTask && ts > p.earnTask.expiresAt) {
-          p.earnTask = null;
-          changed = true;
-        }
-      }
-      if (changed) io.to(room.id).emit("room:state", roomSnapshot(room));
-    }
+  const wanted = hexToRgb(bot.earnTask.sequence[bot.earnTask.step]);
+  const rgb = Math.random() < room.settings.botAccuracy ? jitterRgb(wanted, BOT_COLOR_JITTER) : jitterRgb(wanted, 160);
+  takeShot(room, bot, { shootType: "earn", crossObs: { rgb, confidence: 0.7 } }, noReply);
+  return true;
+}
 
-    if (room.phase !== "playing") continue;
+function botTick(room, ts) {
+  const s = room.settings;
+  for (const bot of Object.values(room.players)) {
+    if (!bot.bot || !bot.alive || room.phase !== "playing") continue;
 
-    // time end
-    if (room.timer?.endAt && ts >= room.timer.endAt) {
-      endGame(room, "time");
-      continue;
+    if (bot.shields > 0 && (bot.shieldActiveUntil || 0) <= ts && bot.hp <= s.maxHp * BOT_SHIELD_HP) {
+      activateShield(room, bot, noReply);
     }
 
-    // elimination end
-    if (room.settings.gameType === "chaos") {
-      if (aliveCount(room) <= 1) endGame(room, "elimination");
-    } else {
-      const teams = aliveTeams(room);
-      if (teams.size <= 1) endGame(room, "elimination");
-    }
+    if (s.mode === "limited" && botCraft(room, bot, ts)) continue;
+
+    const st = bot.botState;
+    if (ts < st.nextShotAt) continue;
+    st.nextShotAt = ts + s.botFireIntervalSec * 1000 * (0.6 + Math.random() * 0.8);
+    if (canShoot(room, bot).ok) takeShot(room, bot, botAim(room, bot), noReply);
   }
 }
-setInterval(tickRoomTimers, 500);
 
 io.on("connection", (socket) => {
-  socket.on("room:create", ({ name }) => {
+  let eventBudget = MAX_EVENTS_PER_SEC;
+  let budgetAt = now();
+
+  socket.use(([event, payload], next) => {
+    // flood guard: token bucket per socket
+    const ts = now();
+    eventBudget = Math.min(MAX_EVENTS_PER_SEC, eventBudget + ((ts - budgetAt) / 1000) * MAX_EVENTS_PER_SEC);
+    budgetAt = ts;
+    if (eventBudget < 1) return;
+    eventBudget -= 1;
+
+    const err = validatePayload(event, payload);
+    if (err) {
+      const room = rooms.get(socket.data.roomId);
+      const p = playerOf(room, socket);
+      if (p) raiseFlag(room, p, "bad_payload", { event, error: err });
+      return;
+    }
+    next();
+  });
+
+  socket.on("room:create", ({ name, profileKey }) => {
     const roomId = genRoomId();
     const room = {
       id: roomId,
-      hostId: socket.id,
+      createdAt: now(),
+      hostId: null,
       phase: "lobby",
       settings: makeDefaultSettings(),
       players: {},
       timer: null,
       winner: null,
+      matchId: null, // persisted record of the last finished match
+      series: null, // tournament series in progress (see makeSeries)
+      timeline: [],
+      pausedAt: 0, // host pause in progress (ms timestamp)
+      feed: [], // latest hits for live kill feeds (full logs via room:getLogs)
+      sync: { version: 0, snap: null }, // last broadcast snapshot, see broadcastState
+      spectators: new Set(), // socket ids watching without playing
+      teams: [],
+      teamsLocked: false,
+      locked: false, // no new joins
+      passcode: null, // required on room:join when set
+      roster: null, // cached validateRoster report, see rosterReport
+      bans: { profiles: new Set(), tokens: new Set() }, // for the room's lifetime
     };
+    syncTeams(room);
     rooms.set(roomId, room);
 
-    room.players[socket.id] = {
-      id: socket.id,
-      name: (name || "Host").trim().slice(0, 24),
-      joinedAt: now(),
-      team: "A",
-      assignedColorHex: null,
-      assignedRgb: null,
-      assignedConfidence: null,
+    const player = makePlayer(room, (name || "Host").trim().slice(0, 24), profileKey);
+    room.players[player.id] = player;
+    room.hostId = player.id;
 
-      hp: room.settings.maxHp,
-      alive: true,
-
-      bullets: Infinity,
-      shields: room.settings.initialShields,
-      shieldActiveUntil: 0,
-
-      earnTask: null,
-
-      stats: { hits: 0, kills: 0, damageDealt: 0, hitLog: [] },
-    };
-
-    socket.join(roomId);
+    attachSocket(room, player, socket);
     autoAssignTeams(room);
-    io.to(roomId).emit("room:state", roomSnapshot(room));
+    sendFullState(room, socket);
   });
 
-  socket.on("room:join", ({ roomId, name }) => {
+  socket.on("room:join", ({ roomId, name, profileKey, passcode }) => {
     roomId = String(roomId || "").trim();
     const room = rooms.get(roomId);
     if (!room) {
-      socket.emit("room:error", { message: "Room not found" });
+      socket.emit("room:error", msg("room_not_found"));
       return;
     }
     if (room.phase !== "lobby") {
-      socket.emit("room:error", { message: "Game already started" });
+      socket.emit("room:error", msg("game_started"));
+      return;
+    }
+    const blocked = joinBlocker(room, profileKey, passcode);
+    if (blocked) {
+      socket.emit("room:error", msg(blocked));
       return;
     }
 
-    room.players[socket.id] = {
-      id: socket.id,
-      name: (name || "Player").trim().slice(0, 24),
-      joinedAt: now(),
-      team: null,
-      assignedColorHex: null,
-      assignedRgb: null,
-      assignedConfidence: null,
+    const player = makePlayer(room, (name || "Player").trim().slice(0, 24), profileKey);
+    room.players[player.id] = player;
 
-      hp: room.settings.maxHp,
-      alive: true,
+    attachSocket(room, player, socket);
+    autoAssignTeams(room);
+    sendFullState(room, socket);
+  });
 
-      bullets: room.settings.mode === "limited" ? room.settings.initialBullets : Infinity,
-      shields: room.settings.initialShields,
-      shieldActiveUntil: 0,
+  // reattach a new socket to an existing player record (works mid-match)
+  socket.on("room:resume", ({ roomId, token }) => {
+    const room = rooms.get(String(roomId || "").trim());
+    const player =
+      room && typeof token === "string" && token && !room.bans.tokens.has(token)
+        ? Object.values(room.players).find((p) => p.sessionToken === token)
+        : null;
+    if (!player) {
+      socket.emit("room:resumeFailed", msg("session_expired"));
+      return;
+    }
 
-      earnTask: null,
+    attachSocket(room, player, socket);
+    sendFullState(room, socket);
+  });
 
-      stats: { hits: 0, kills: 0, damageDealt: 0, hitLog: [] },
-    };
+  // watch a room without joining it (TV scoreboard); allowed in any phase
+  socket.on("room:spectate", ({ roomId }) => {
+    const room = rooms.get(String(roomId || "").trim());
+    if (!room) {
+      socket.emit("room:error", msg("room_not_found"));
+      return;
+    }
 
-    socket.join(roomId);
-    autoAssignTeams(room);
-    io.to(roomId).emit("room:state", roomSnapshot(room));
+    // switching rooms: stop counting (and feeding) this socket in the previous one
+    const watched = rooms.get(socket.data.spectating);
+    if (watched && watched !== room) {
+      watched.spectators.delete(socket.id);
+      if (socket.data.roomId !== watched.id) socket.leave(watched.id);
+      broadcastState(watched);
+    }
+
+    room.spectators.add(socket.id);
+    socket.data.spectating = room.id;
+    socket.join(room.id);
+    sendFullState(room, socket);
   });
 
   socket.on("lobby:updateSettings", ({ roomId, settings }) => {
@@ -390,16 +2663,44 @@ io.on("connection", (socket) => {
 
     if (settings.gameType === "team" || settings.gameType === "chaos") s.gameType = settings.gameType;
     if (settings.mode === "standard" || settings.mode === "limited") s.mode = settings.mode;
+    if (settings.hitResolution === "nearest" || settings.hitResolution === "intent") s.hitResolution = settings.hitResolution;
+    if (settings.detector === "ml" || settings.detector === "color") s.detector = settings.detector;
+    if (typeof settings.ruleset === "string" && GAME_MODES[settings.ruleset]) s.ruleset = settings.ruleset;
+    if (modeOf(room).needsMode) s.mode = modeOf(room).needsMode;
+
+    const rd = Number(settings.respawnDelaySec);
+    if (Number.isFinite(rd)) s.respawnDelaySec = clamp(rd, 3, 120);
+
+    const lv = Number(settings.lives);
+    if (Number.isFinite(lv)) s.lives = clamp(Math.round(lv), 1, 20);
+
+    const tc = Number(settings.teamCount);
+    if (Number.isFinite(tc)) s.teamCount = clamp(Math.round(tc), 2, TEAM_DEFAULTS.length);
+    if (typeof settings.autoBalance === "boolean") s.autoBalance = settings.autoBalance;
+    syncTeams(room);
 
     const gs = Number(settings.gameSeconds);
     if (Number.isFinite(gs)) s.gameSeconds = clamp(gs, 30, 3600);
 
+    const cd = Number(settings.countdownSec);
+    if (Number.isFinite(cd)) s.countdownSec = clamp(Math.round(cd), 0, 30);
+
+    if (SERIES_FORMATS.includes(settings.seriesFormat)) s.seriesFormat = settings.seriesFormat;
+    if (SERIES_TEAM_MODES.includes(settings.seriesTeams)) s.seriesTeams = settings.seriesTeams;
+    const sl = Number(settings.seriesLength);
+    if (Number.isFinite(sl)) s.seriesLength = clamp(Math.round(sl), 1, 15);
+
     const dmg = Number(settings.damagePerHit);
     if (Number.isFinite(dmg)) s.damagePerHit = clamp(dmg, 1, 200);
 
     const hp = Number(settings.maxHp);
     if (Number.isFinite(hp)) s.maxHp = clamp(hp, 10, 500);
 
+    for (const key of ["headMultiplier", "torsoMultiplier", "legsMultiplier"]) {
+      const m = Number(settings[key]);
+      if (Number.isFinite(m)) s[key] = clamp(Math.round(m * 100) / 100, 0.1, 5);
+    }
+
     const ib = Number(settings.initialBullets);
     if (Number.isFinite(ib)) s.initialBullets = clamp(ib, 0, 999);
 
@@ -412,12 +2713,149 @@ io.on("connection", (socket) => {
     const sc = Number(settings.shieldCap);
     if (Number.isFinite(sc)) s.shieldCap = clamp(sc, 0, 2);
 
+    if (settings.friendlyFire === "off" || settings.friendlyFire === "reduced" || settings.friendlyFire === "on") {
+      s.friendlyFire = settings.friendlyFire;
+    }
+
+    const ffs = Number(settings.friendlyFireScale);
+    if (Number.isFinite(ffs)) s.friendlyFireScale = clamp(Math.round(ffs * 100) / 100, 0.1, 1);
+
+    const sr = Number(settings.shieldReduction);
+    if (Number.isFinite(sr)) s.shieldReduction = clamp(Math.round(sr), 0, 100);
+
+    const brs = Number(settings.bulletRegenSec);
+    if (Number.isFinite(brs)) s.bulletRegenSec = clamp(Math.round(brs), 0, 300);
+
+    const brc = Number(settings.bulletRegenCap);
+    if (Number.isFinite(brc)) s.bulletRegenCap = clamp(Math.round(brc), 1, 99);
+
+    const sp = Number(settings.spawnProtectionSec);
+    if (Number.isFinite(sp)) s.spawnProtectionSec = clamp(Math.round(sp), 0, 30);
+
+    const mh = Number(settings.medkitHeal);
+    if (Number.isFinite(mh)) s.medkitHeal = clamp(Math.round(mh), 1, 500);
+
+    const mc = Number(settings.medkitCap);
+    if (Number.isFinite(mc)) s.medkitCap = clamp(Math.round(mc), 0, 5);
+
+    const bm = Number(settings.boostMultiplier);
+    if (Number.isFinite(bm)) s.boostMultiplier = clamp(Math.round(bm * 100) / 100, 1, 4);
+
+    const bd = Number(settings.boostDurationSec);
+    if (Number.isFinite(bd)) s.boostDurationSec = clamp(bd, 3, 60);
+
+    const bc = Number(settings.boostCap);
+    if (Number.isFinite(bc)) s.boostCap = clamp(Math.round(bc), 0, 5);
+
+    if (Array.isArray(settings.recipes)) {
+      for (const r of settings.recipes) {
+        const cur = isObj(r) && s.recipes.find((x) => x.id === r.id);
+        if (!cur) continue;
+        if (typeof r.enabled === "boolean") cur.enabled = r.enabled;
+        if (CRAFT_TIERS[r.tier]) cur.tier = r.tier;
+        const st = Number(r.steps);
+        if (Number.isFinite(st)) cur.steps = clamp(Math.round(st), 1, 5);
+        const am = Number(r.amount);
+        if (Number.isFinite(am)) cur.amount = clamp(Math.round(am), 1, 20);
+      }
+    }
+
+    const ht = Number(settings.hitTolerance);
+    if (Number.isFinite(ht)) s.hitTolerance = clamp(ht, 5, 50);
+
+    const et = Number(settings.earnTolerance);
+    if (Number.isFinite(et)) s.earnTolerance = clamp(et, 5, 50);
+
+    const lw = Number(settings.lightnessWeight);
+    if (Number.isFinite(lw)) s.lightnessWeight = clamp(lw, 1, 4);
+
+    const fc = Number(settings.fireCooldownMs);
+    if (Number.isFinite(fc)) s.fireCooldownMs = clamp(fc, 0, 5000);
+
+    const bl = Number(settings.burstLimit);
+    if (Number.isFinite(bl)) s.burstLimit = clamp(Math.round(bl), 1, 50);
+
+    const ba = Number(settings.botAccuracy);
+    if (Number.isFinite(ba)) s.botAccuracy = clamp(Math.round(ba * 100) / 100, 0, 1);
+
+    const bf = Number(settings.botFireIntervalSec);
+    if (Number.isFinite(bf)) s.botFireIntervalSec = clamp(Math.round(bf * 10) / 10, 0.5, 30);
+
+    // clustering depends on the distance weights
+    for (const p of Object.values(room.players)) setColorSamples(room, p, p.colorSamples);
+
     autoAssignTeams(room);
 
     // Note: we do not auto-rewrite existing bullets/shields in lobby; game:start initializes.
-    io.to(room.id).emit("room:state", roomSnapshot(room));
+    broadcastState(room);
+  });
+
+  // host moves a player; the placement is pinned so auto-balance won't undo it
+  socket.on("lobby:setTeam", ({ roomId, playerId, team }) => {
+    const room = rooms.get(String(roomId || "").trim());
+    if (!room) return;
+    if (!isHost(room, socket)) return;
+    if (room.phase !== "lobby" || room.settings.gameType !== "team") return;
+
+    const p = room.players[playerId];
+    if (!p || !room.teams.some((t) => t.id === team)) return;
+
+    p.team = team;
+    p.teamPinned = true;
+
+    autoAssignTeams(room);
+    broadcastState(room);
+  });
+
+  // players pick their own team while teams are unlocked
+  socket.on("lobby:chooseTeam", ({ roomId, team }) => {
+    const room = rooms.get(String(roomId || "").trim());
+    const p = playerOf(room, socket);
+    if (!p) return;
+    if (room.phase !== "lobby" || room.settings.gameType !== "team") return;
+    if (room.teamsLocked) {
+      socket.emit("room:error", msg("teams_locked"));
+      return;
+    }
+    if (!room.teams.some((t) => t.id === team)) return;
+
+    p.team = team;
+    p.teamPinned = true;
+
+    autoAssignTeams(room);
+    broadcastState(room);
+  });
+
+  socket.on("lobby:lockTeams", ({ roomId, locked }) => {
+    const room = rooms.get(String(roomId || "").trim());
+    if (!room) return;
+    if (!isHost(room, socket)) return;
+    if (room.phase !== "lobby") return;
+
+    room.teamsLocked = locked;
+
+    autoAssignTeams(room);
+    broadcastState(room);
+  });
+
+  socket.on("lobby:updateTeams", ({ roomId, teams }) => {
+    const room = rooms.get(String(roomId || "").trim());
+    if (!room) return;
+    if (!isHost(room, socket)) return;
+    if (room.phase !== "lobby") return;
+
+    for (const t of teams) {
+      const team = room.teams.find((x) => x.id === t.id);
+      if (!team) continue;
+      const name = (t.name || "").trim().slice(0, 24);
+      if (name) team.name = name;
+      if (t.color) team.color = normalizeHex(t.color);
+    }
+
+    broadcastState(room);
   });
 
+  // replaces the player's profile with a single sample
   socket.on("lobby:assignColor", ({ roomId, playerId, colorHex, confidence }) => {
     const room = rooms.get(String(roomId || "").trim());
     if (!room) return;
@@ -427,281 +2865,321 @@ io.on("connection", (socket) => {
     const p = room.players[playerId];
     if (!p) return;
 
-    const hex = normalizeHex(colorHex);
-    p.assignedColorHex = hex;
-    p.assignedRgb = hexToRgb(hex);
-    p.assignedConfidence = clamp(Number(confidence ?? 0.4), 0, 1);
+    setColorSamples(room, p, [makeColorSample(colorHex, confidence)]);
+    warnColorCollisions(room, p, socket);
+
+    broadcastState(room);
+  });
+
+  // adds another angle / lighting sample to the player's profile (oldest dropped past the cap)
+  socket.on("lobby:addColorSample", ({ roomId, playerId, colorHex, confidence }) => {
+    const room = rooms.get(String(roomId || "").trim());
+    if (!room) return;
+    if (!isHost(room, socket)) return;
+    if (room.phase !== "lobby") return;
+
+    const p = room.players[playerId];
+    if (!p) return;
+
+    setColorSamples(room, p, [...p.colorSamples, makeColorSample(colorHex, confidence)]);
+    warnColorCollisions(room, p, socket);
+
+    broadcastState(room);
+  });
+
+  socket.on("lobby:clearColor", ({ roomId, playerId }) => {
+    const room = rooms.get(String(roomId || "").trim());
+    if (!room) return;
+    if (!isHost(room, socket)) return;
+    if (room.phase !== "lobby") return;
+
+    const p = room.players[playerId];
+    if (!p) return;
+
+    setColorSamples(room, p, []);
 
-    io.to(room.id).emit("room:state", roomSnapshot(room));
+    broadcastState(room);
   });
 
-  socket.on("game:start", ({ roomId }) => {
+  socket.on("game:start", ({ roomId, force }) => {
     const room = rooms.get(String(roomId || "").trim());
     if (!room) return;
     if (!isHost(room, socket)) return;
     if (room.phase !== "lobby") return;
 
-    if (!allPlayersAssignedColors(room)) {
-      socket.emit("room:error", { message: "Assign colors for all players (min 2 players)." });
+    const report = rosterReport(room);
+    if (!report.ok) {
+      const { code, params } = report.errors[0];
+      socket.emit("room:error", msg(code, params));
       return;
     }
 
-    room.phase = "playing";
-    room.winner = null;
+    // host starting counts as ready; offline players don't hold things up
+    const notReady = Object.values(room.players).filter((p) => p.connected && !p.ready && p.id !== room.hostId);
+    if (notReady.length && !force) {
+      socket.emit("room:error", msg("not_ready", { names: notReady.map((p) => p.name).join(", ") }));
+      return;
+    }
 
     const s = room.settings;
-    const ts = now();
-    room.timer = { startAt: ts, endAt: ts + s.gameSeconds * 1000, endedAt: 0, reason: null };
+    const startAt = now() + s.countdownSec * 1000;
+
+    if (s.seriesFormat === "off") room.series = null;
+    else if (!room.series || room.series.done) room.series = makeSeries(s);
+    if (room.series) room.series.round = room.series.rounds.length + 1;
+
+    room.phase = s.countdownSec > 0 ? "countdown" : "playing";
+    room.winner = null;
+    room.matchId = null;
+    room.timeline = [];
+    room.feed = [];
+    room.pausedAt = 0;
+    room.timer = { startAt, endAt: startAt + s.gameSeconds * 1000, endedAt: 0, reason: null, pausedMs: 0 };
 
     autoAssignTeams(room);
 
     for (const p of Object.values(room.players)) {
-      p.hp = s.maxHp;
-      p.alive = true;
-      p.shieldActiveUntil = 0;
-      p.earnTask = null;
-      p.stats = { hits: 0, kills: 0, damageDealt: 0, hitLog: [] };
-
-      if (s.mode === "standard") {
-        p.bullets = Infinity;
-        p.shields = s.initialShields;
-      } else {
-        p.bullets = s.initialBullets;
-        p.shields = clamp(s.initialShields, 0, s.shieldCap);
-      }
+      resetPlayerForMatch(room, p);
+      p.protectedUntil = startAt + s.spawnProtectionSec * 1000;
     }
+    modeOf(room).setup(room);
 
-    io.to(room.id).emit("room:state", roomSnapshot(room));
+    broadcastState(room);
   });
 
   // NEW: host resets results -> lobby properly
-  socket.on("game:reset", ({ roomId }) => {
+  socket.on("game:reset", ({ roomId, endSeries }) => {
     const room = rooms.get(String(roomId || "").trim());
     if (!room) return;
     if (!isHost(room, socket)) return;
 
-    room.phase = "lobby";
-    room.timer = null;
-    room.winner = null;
-
-    const s = room.settings;
-
-    for (const p of Object.values(room.players)) {
-      p.hp = s.maxHp;
-      p.alive = true;
-      p.shieldActiveUntil = 0;
-      p.earnTask = null;
-      p.stats = { hits: 0, kills: 0, damageDealt: 0, hitLog: [] };
-
-      if (s.mode === "standard") {
-        p.bullets = Infinity;
-        p.shields = s.initialShields;
-      } else {
-        p.bullets = s.initialBullets;
-        p.shields = clamp(s.initialShields, 0, s.shieldCap);
-      }
-    }
+    if (endSeries) room.series = null;
+    else if (room.series && !room.series.done && room.phase === "results") applySeriesTeams(room);
 
-    autoAssignTeams(room);
-    io.to(room.id).emit("room:state", roomSnapshot(room));
+    returnToLobby(room);
   });
 
   socket.on("game:shieldActivate", ({ roomId }) => {
     const room = rooms.get(String(roomId || "").trim());
     if (!room) return;
     if (room.phase !== "playing") return;
+    if (refusePaused(room, socket)) return;
 
-    const p = room.players[socket.id];
+    const p = playerOf(room, socket);
     if (!p) return;
     if (!p.alive) return;
 
-    const ts = now();
-    if ((p.shieldActiveUntil || 0) > ts) {
-      socket.emit("game:toast", { type: "warn", message: "Shield already active." });
-      return;
-    }
+    activateShield(room, p, toastTo(socket));
+  });
 
-    if (p.shields <= 0) {
-      socket.emit("game:toast", { type: "warn", message: "No shields. Earn one first." });
-      return;
-    }
+  socket.on("game:earnStart", ({ roomId, type }) => {
+    const room = rooms.get(String(roomId || "").trim());
+    if (!room) return;
+    if (room.phase !== "playing") return;
+    if (refusePaused(room, socket)) return;
 
-    p.shields -= 1;
-    p.shieldActiveUntil = ts + room.settings.shieldDurationSec * 1000;
+    const p = playerOf(room, socket);
+    if (!p) return;
+    if (!p.alive) return;
 
-    io.to(room.id).emit("room:state", roomSnapshot(room));
+    startCraft(room, p, type, toastTo(socket));
   });
 
-  socket.on("game:earnStart", ({ roomId, type }) => {
+  socket.on("game:useItem", ({ roomId, item }) => {
     const room = rooms.get(String(roomId || "").trim());
     if (!room) return;
     if (room.phase !== "playing") return;
+    if (refusePaused(room, socket)) return;
 
-    const p = room.players[socket.id];
+    const p = playerOf(room, socket);
     if (!p) return;
     if (!p.alive) return;
 
-    if (room.settings.mode !== "limited") {
-      socket.emit("game:toast", { type: "warn", message: "Crafting only in Limited mode." });
+    if (p.inventory[item] <= 0) {
+      toast(socket, "warn", "item_none", { item });
       return;
     }
 
-    if (type !== "bullet" && type !== "shield") return;
+    const s = room.settings;
+    const ts = now();
 
-    if (type === "shield" && p.shields >= room.settings.shieldCap) {
-      socket.emit("game:toast", { type: "warn", message: `Shield cap reached (${room.settings.shieldCap}).` });
-      return;
+    if (item === "medkit") {
+      if (p.hp >= s.maxHp) {
+        toast(socket, "warn", "full_hp");
+        return;
+      }
+      const before = p.hp;
+      p.hp = clamp(p.hp + s.medkitHeal, 0, s.maxHp);
+      toast(socket, "ok", "healed", { hp: p.hp - before });
+    } else {
+      if (p.boostUntil > ts) {
+        toast(socket, "warn", "boost_active");
+        return;
+      }
+      p.boostUntil = ts + s.boostDurationSec * 1000;
+      toast(socket, "ok", "boosted", { multiplier: s.boostMultiplier, seconds: s.boostDurationSec });
     }
 
-    const colorHex = CRAFT_PALETTE[Math.floor(Math.random() * CRAFT_PALETTE.length)];
-    p.earnTask = { type, colorHex, expiresAt: now() + 20000 }; // 20s to complete
-
-    io.to(room.id).emit("room:state", roomSnapshot(room));
+    p.inventory[item] -= 1;
+    logEvent(room, "item", { actorId: p.id, item, hp: p.hp });
+    broadcastState(room);
   });
 
-  socket.on("game:shoot", ({ roomId, shootType, hasTarget, torsoObs, crossObs }) => {
+  socket.on("game:shoot", ({ roomId, shootType, hasTarget, hitZone, torsoObs, crossObs, intentTargetId }) => {
     const room = rooms.get(String(roomId || "").trim());
     if (!room) return;
     if (room.phase !== "playing") return;
+    if (refusePaused(room, socket)) return;
 
-    const shooter = room.players[socket.id];
+    const shooter = playerOf(room, socket);
     if (!shooter) return;
 
-    if (!shooter.alive) {
-      socket.emit("game:toast", { type: "warn", message: "You are dead." });
-      return;
-    }
+    takeShot(room, shooter, { shootType, hasTarget, hitZone, torsoObs, crossObs, intentTargetId }, toastTo(socket));
+  });
 
-    const limited = room.settings.mode === "limited";
+  socket.on("host:getFlags", ({ roomId }) => {
+    const room = rooms.get(String(roomId || "").trim());
+    if (!isHost(room, socket)) return;
+    socket.emit("host:flags", { flags: flagReport(room) });
+  });
 
-    // EARN shot
-    if (shootType === "earn") {
-      if (!limited) {
-        socket.emit("game:toast", { type: "warn", message: "Not in Limited mode." });
-        return;
-      }
-      if (!shooter.earnTask) {
-        socket.emit("game:toast", { type: "warn", message: "No active earn task. Tap Earn Bullet/Shield." });
-        return;
-      }
-      if (now() > shooter.earnTask.expiresAt) {
-        shooter.earnTask = null;
-        socket.emit("game:toast", { type: "warn", message: "Earn task expired. Try again." });
-        io.to(room.id).emit("room:state", roomSnapshot(room));
-        return;
-      }
-      if (!crossObs || !crossObs.rgb) {
-        socket.emit("game:toast", { type: "warn", message: "No color sample." });
-        return;
-      }
+  // client missed a patch (version gap) -> fresh full snapshot
+  socket.on("room:sync", ({ roomId }) => {
+    const room = rooms.get(String(roomId || "").trim());
+    if (!room || !socket.rooms.has(room.id)) return;
+    sendFullState(room, socket);
+  });
 
-      const conf = clamp(Number(crossObs.confidence ?? 0.3), 0, 1);
-      if (conf < 0.25) {
-        socket.emit("game:toast", { type: "warn", message: "Low confidence sample. Get closer / better light." });
-        return;
-      }
+  // hit / reject logs are not in snapshots; players and spectators fetch them on demand
+  socket.on("room:getLogs", ({ roomId, playerId }) => {
+    const room = rooms.get(String(roomId || "").trim());
+    if (!room || !socket.rooms.has(room.id)) return;
 
-      const reqHex = shooter.earnTask.colorHex;
-      const reqRgb = hexToRgb(reqHex);
-      const d = rgbDist(crossObs.rgb, reqRgb);
+    const p = room.players[playerId];
+    if (!p) return;
+    socket.emit("room:logs", { playerId, hitLog: p.stats.hitLog, rejectLog: p.stats.rejectLog });
+  });
 
-      // threshold depends on confidence (higher conf => stricter)
-      const threshold = clamp(55 - conf * 25, 28, 55);
+  socket.on("lobby:setReady", ({ roomId, ready }) => {
+    const room = rooms.get(String(roomId || "").trim());
+    if (!room || room.phase !== "lobby") return;
 
-      if (d <= threshold) {
-        if (shooter.earnTask.type === "bullet") {
-          shooter.bullets += 1;
-          socket.emit("game:toast", { type: "ok", message: "+1 bullet earned!" });
-        } else {
-          shooter.shields = clamp(shooter.shields + 1, 0, room.settings.shieldCap);
-          socket.emit("game:toast", { type: "ok", message: "+1 shield earned!" });
-        }
-        shooter.earnTask = null;
-        io.to(room.id).emit("room:state", roomSnapshot(room));
-      } else {
-        socket.emit("game:toast", { type: "warn", message: "Color not close enough. Try again." });
-      }
-      return;
-    }
+    const p = playerOf(room, socket);
+    if (!p) return;
 
-    // ATTACK shot
-    if (!hasTarget) {
-      socket.emit("game:toast", { type: "warn", message: "MISS (no target)" });
-      return;
-    }
+    p.ready = ready;
+    broadcastState(room);
+  });
 
-    const shootCheck = canShoot(room, shooter);
-    if (!shootCheck.ok) {
-      if (shootCheck.reason === "no_bullets") socket.emit("game:toast", { type: "warn", message: "No bullets. Earn bullets first." });
-      else socket.emit("game:toast", { type: "warn", message: "Cannot shoot." });
-      return;
-    }
+  socket.on("host:pause", ({ roomId, paused }) => {
+    const room = rooms.get(String(roomId || "").trim());
+    if (!isHost(room, socket)) return;
+    if (room.phase !== "playing") return;
+    if (paused === !!room.pausedAt) return;
 
-    if (!torsoObs || !torsoObs.rgb) {
-      socket.emit("game:toast", { type: "warn", message: "Could not read target color." });
-      return;
+    if (paused) pauseMatch(room);
+    else resumeMatch(room);
+    broadcastState(room);
+  });
+
+  socket.on("host:kick", ({ roomId, playerId, ban }) => {
+    const room = rooms.get(String(roomId || "").trim());
+    if (!isHost(room, socket)) return;
+
+    const p = room.players[playerId];
+    if (!p || p.id === room.hostId) return;
+
+    if (ban) {
+      room.bans.profiles.add(p.profileId);
+      room.bans.tokens.add(p.sessionToken);
     }
+    ejectPlayer(room, p, ban ? "kicked_ban" : "kicked");
+    toast(socket, "ok", ban ? "player_banned" : "player_kicked", { name: p.name });
+  });
 
-    // reduce bullets in limited mode
-    if (limited) shooter.bullets -= 1;
+  socket.on("host:addBot", ({ roomId, team }) => {
+    const room = rooms.get(String(roomId || "").trim());
+    if (!isHost(room, socket)) return;
+    if (room.phase !== "lobby") return;
 
-    // resolve target player by color observation
-    const targetId = resolveTargetByColor(room, socket.id, torsoObs);
-    if (!targetId) {
-      socket.emit("game:toast", { type: "warn", message: "HIT? (unknown color) — no damage" });
-      io.to(room.id).emit("room:state", roomSnapshot(room));
+    if (Object.values(room.players).filter((p) => p.bot).length >= MAX_BOTS) {
+      toast(socket, "warn", "max_bots", { max: MAX_BOTS });
       return;
     }
+    const teamOk = team && room.settings.gameType === "team" && room.teams.some((t) => t.id === team);
+    addBot(room, teamOk ? team : null);
+    broadcastState(room);
+  });
 
-    applyDamage(room, socket.id, targetId);
+  socket.on("host:lockRoom", ({ roomId, locked }) => {
+    const room = rooms.get(String(roomId || "").trim());
+    if (!isHost(room, socket)) return;
 
-    io.to(room.id).emit("room:state", roomSnapshot(room));
+    room.locked = locked;
+    broadcastState(room);
   });
 
-  socket.on("room:leave", ({ roomId }) => {
+  // empty string clears the passcode
+  socket.on("host:setPasscode", ({ roomId, passcode }) => {
     const room = rooms.get(String(roomId || "").trim());
-    if (!room) return;
+    if (!isHost(room, socket)) return;
 
-    socket.leave(room.id);
-    delete room.players[socket.id];
+    room.passcode = passcode.trim() || null;
+    toast(socket, "ok", room.passcode ? "passcode_set" : "passcode_removed");
+    broadcastState(room);
+  });
 
-    if (Object.keys(room.players).length === 0) {
-      rooms.delete(room.id);
+  socket.on("host:transfer", ({ roomId, playerId }) => {
+    const room = rooms.get(String(roomId || "").trim());
+    if (!isHost(room, socket)) return;
+
+    const p = room.players[playerId];
+    if (!p || p.id === room.hostId) return;
+    if (!p.connected) {
+      toast(socket, "warn", "player_offline", { name: p.name });
       return;
     }
-
-    if (room.hostId === socket.id) {
-      // promote oldest
-      const ids = Object.keys(room.players).sort((a, b) => room.players[a].joinedAt - room.players[b].joinedAt);
-      room.hostId = ids[0];
+    if (p.bot) {
+      toast(socket, "warn", "bot_host");
+      return;
     }
 
-    autoAssignTeams(room);
-    io.to(room.id).emit("room:state", roomSnapshot(room));
+    room.hostId = p.id;
+    broadcastState(room);
   });
 
-  socket.on("disconnect", () => {
-    for (const room of rooms.values()) {
-      if (!room.players[socket.id]) continue;
-
-      delete room.players[socket.id];
+  socket.on("room:leave", ({ roomId }) => {
+    const room = rooms.get(String(roomId || "").trim());
+    const p = playerOf(room, socket);
+    if (!p) return;
 
-      if (Object.keys(room.players).length === 0) {
-        rooms.delete(room.id);
-        continue;
-      }
+    socket.leave(room.id);
+    socket.data.roomId = null;
+    socket.data.playerId = null;
 
-      if (room.hostId === socket.id) {
-        const ids = Object.keys(room.players).sort((a, b) => room.players[a].joinedAt - room.players[b].joinedAt);
-        room.hostId = ids[0];
-      }
+    removePlayer(room, p.id);
+  });
 
-      autoAssignTeams(room);
-      io.to(room.id).emit("room:state", roomSnapshot(room));
+  socket.on("disconnect", () => {
+    const watched = rooms.get(socket.data.spectating);
+    if (watched) {
+      watched.spectators.delete(socket.id);
+      broadcastState(watched);
     }
+
+    // keep the player record for RECONNECT_GRACE_MS so room:resume can pick it up
+    const room = rooms.get(socket.data.roomId);
+    const p = playerOf(room, socket);
+    if (!p || p.socketId !== socket.id) return;
+
+    p.connected = false;
+    p.disconnectedAt = now();
+    broadcastState(room);
   });
 });
 
+loadStore();
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);